@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. Access tokens name the session they belong to and
+// stop working once it is revoked; the refresh token (stored only as a hash)
+// is swapped for a new one every time it is used.
+const authSessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // The refresh token this one replaced. Seeing it again after the grace
+    // window means an old token was copied and reused, so the whole session is revoked.
+    previousTokenHash: {
+        type: String,
+        default: null
+    },
+    // The current refresh token, encrypted: for a short while after a swap,
+    // a refresh racing it with previousTokenHash gets the same tokens
+    sealedToken: {
+        type: String,
+        default: null
+    },
+    // When previousTokenHash was swapped; for a short while after, it still works
+    rotatedAt: {
+        type: Date,
+        default: null
+    },
+    userAgent: {
+        type: String,
+        default: '',
+        maxlength: 300
+    },
+    ip: {
+        type: String,
+        default: ''
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+});
+
+authSessionSchema.index({ userId: 1, revokedAt: 1 });
+authSessionSchema.index({ previousTokenHash: 1 });
+
+// Expired sessions are removed by MongoDB
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Whether the session can still be used
+authSessionSchema.methods.isActive = function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+const pauseSchema = new mongoose.Schema({
+    pausedAt: {
+        type: Date,
+        required: true
+    },
+    resumedAt: {
+        type: Date,
+        default: null
+    },
+    reason: {
+        type: String,
+        enum: ['pause', 'interruption'],
+        default: 'pause'
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Note cannot exceed 200 characters']
+    }
+}, { _id: false });
+
+const focusSessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    timetableId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Timetable',
+        required: true
+    },
+    sessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    subjectId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Subject',
+        default: null
+    },
+    subjectName: {
+        type: String,
+        required: true
+    },
+    plannedMinutes: {
+        type: Number,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['running', 'paused', 'stopped'],
+        default: 'running'
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    endedAt: {
+        type: Date,
+        default: null
+    },
+    pauses: [pauseSchema],
+    elapsedMinutes: {
+        type: Number,
+        default: 0
+    },
+    // Minutes credited to the session and the stats: the elapsed time, capped
+    // a little past the plan unless the overtime was confirmed
+    creditedMinutes: {
+        type: Number,
+        default: 0
+    },
+    completed: {
+        type: Boolean,
+        default: false
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Milliseconds actually spent focusing, excluding pauses
+focusSessionSchema.methods.getElapsedMs = function(now = new Date()) {
+    const end = this.endedAt || now;
+    const paused = this.pauses.reduce((acc, pause) => {
+        return acc + ((pause.resumedAt || end) - pause.pausedAt);
+    }, 0);
+
+    return Math.max(0, end - this.startedAt - paused);
+};
+
+// Timer state the client needs to show a live countdown (also after a reload)
+focusSessionSchema.methods.toTimerState = function(now = new Date()) {
+    const elapsedSeconds = Math.floor(this.getElapsedMs(now) / 1000);
+
+    return {
+        id: this._id,
+        timetableId: this.timetableId,
+        sessionId: this.sessionId,
+        subjectId: this.subjectId,
+        subjectName: this.subjectName,
+        status: this.status,
+        plannedMinutes: this.plannedMinutes,
+        elapsedSeconds,
+        remainingSeconds: this.plannedMinutes * 60 - elapsedSeconds,
+        startedAt: this.startedAt,
+        endedAt: this.endedAt,
+        pauses: this.pauses,
+        interruptions: this.pauses.filter(p => p.reason === 'interruption').length,
+        elapsedMinutes: this.elapsedMinutes,
+        creditedMinutes: this.creditedMinutes,
+        completed: this.completed
+    };
+};
+
+// Compound index for finding a user's active timer
+focusSessionSchema.index({ userId: 1, status: 1 });
+
+// At most one running or paused timer per user (endedAt is only set once a timer is stopped)
+focusSessionSchema.index(
+    { userId: 1 },
+    { unique: true, partialFilterExpression: { endedAt: { $type: 'null' } } }
+);
+
+module.exports = mongoose.model('FocusSession', focusSessionSchema);
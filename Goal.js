@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// A study target the user sets themselves. Progress is worked out from the
+// daily stats (see utils/goals), not stored on the goal.
+//   total:  targetMinutes of study between startDate and the endDate deadline
+//           ("20 hours of Maths before Dec 1")
+//   weekly: daysPerWeek days of at least minutesPerDay each calendar week
+//           ("5 days a week at 2h"), from startDate until endDate if set
+const goalSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    title: {
+        type: String,
+        required: [true, 'Goal title is required'],
+        trim: true,
+        maxlength: [100, 'Goal title cannot exceed 100 characters']
+    },
+    type: {
+        type: String,
+        enum: ['total', 'weekly'],
+        required: [true, 'Goal type is required']
+    },
+    // Only study of this subject counts; all study counts when unset
+    subjectId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Subject',
+        default: null
+    },
+    targetMinutes: {
+        type: Number,
+        min: [1, 'Target must be at least 1 minute'],
+        max: [100000, 'Target cannot exceed 100000 minutes'],
+        required: [function() { return this.type === 'total'; }, 'A total goal needs targetMinutes']
+    },
+    daysPerWeek: {
+        type: Number,
+        min: [1, 'Days per week must be between 1 and 7'],
+        max: [7, 'Days per week must be between 1 and 7'],
+        required: [function() { return this.type === 'weekly'; }, 'A weekly goal needs daysPerWeek']
+    },
+    minutesPerDay: {
+        type: Number,
+        min: [1, 'Minutes per day must be at least 1'],
+        max: [1440, 'Minutes per day cannot exceed 1440'],
+        required: [function() { return this.type === 'weekly'; }, 'A weekly goal needs minutesPerDay']
+    },
+    // Calendar dates (UTC midnight) in the user's timezone
+    startDate: {
+        type: Date,
+        required: true
+    },
+    endDate: {
+        type: Date,
+        default: null,
+        required: [function() { return this.type === 'total'; }, 'A total goal needs a deadline (endDate)'],
+        validate: {
+            validator: function(value) { return !value || value >= this.startDate; },
+            message: 'The deadline cannot be before the start date'
+        }
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+goalSchema.index({ userId: 1, isActive: 1 });
+
+// Update the updatedAt field before saving
+goalSchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+module.exports = mongoose.model('Goal', goalSchema);
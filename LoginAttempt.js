@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Audit record of one login attempt, kept for 90 days
+const loginAttemptSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        default: ''
+    },
+    // Set when the email belongs to an account
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    ip: {
+        type: String,
+        default: ''
+    },
+    userAgent: {
+        type: String,
+        default: '',
+        maxlength: 300
+    },
+    success: {
+        type: Boolean,
+        required: true
+    },
+    // Why the attempt failed; 'ok' when it succeeded
+    reason: {
+        type: String,
+        enum: ['ok', 'bad-password', 'unknown-email', 'throttled', 'locked'],
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: 60 * 60 * 24 * 90
+    }
+});
+
+loginAttemptSchema.index({ userId: 1, createdAt: -1 });
+loginAttemptSchema.index({ email: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+// A missed session and where it was planned
+const missedSessionSchema = new mongoose.Schema({
+    date: {
+        type: Date,
+        required: true
+    },
+    sessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    subjectId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Subject',
+        default: null
+    },
+    subject: {
+        type: String,
+        required: true
+    },
+    startTime: {
+        type: String,
+        required: true
+    },
+    minutes: {
+        type: Number,
+        required: true
+    }
+}, { _id: false });
+
+// A session added later in the week to make up missed minutes
+const movedSessionSchema = new mongoose.Schema({
+    date: {
+        type: Date,
+        required: true
+    },
+    sessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    subjectId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Subject',
+        default: null
+    },
+    subject: {
+        type: String,
+        required: true
+    },
+    topic: {
+        type: String,
+        default: null
+    },
+    startTime: {
+        type: String,
+        required: true
+    },
+    endTime: {
+        type: String,
+        required: true
+    },
+    minutes: {
+        type: Number,
+        required: true
+    }
+}, { _id: false });
+
+// One run of the missed-session detector, kept so it can be undone
+const rescheduleSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    trigger: {
+        type: String,
+        enum: ['manual', 'scheduled'],
+        default: 'manual'
+    },
+    missed: [missedSessionSchema],
+    moved: [movedSessionSchema],
+    // Missed minutes per subject that found no free time this week
+    unplaced: [{
+        _id: false,
+        subjectId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Subject',
+            default: null
+        },
+        subject: String,
+        minutes: Number
+    }],
+    undoneAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+rescheduleSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Reschedule', rescheduleSchema);
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+// One piece of recorded study. The log is append-only: a record is taken back
+// by appending another record that voids it, never by editing or deleting it.
+// User statistics, subject progress and daily StudyStats are all derived from it.
+const studySessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    subjectId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Subject',
+        default: null
+    },
+    subjectName: {
+        type: String,
+        default: ''
+    },
+    // The timetable session this study was done for, if any
+    timetableId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Timetable',
+        default: null
+    },
+    sessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    topicId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    type: {
+        type: String,
+        enum: ['study', 'review'],
+        default: 'study'
+    },
+    source: {
+        type: String,
+        enum: ['timer', 'manual', 'checkbox', 'legacy'],
+        required: true
+    },
+    startedAt: {
+        type: Date,
+        required: true
+    },
+    endedAt: {
+        type: Date,
+        required: true
+    },
+    // Day the study counts for in the daily stats
+    date: {
+        type: Date,
+        required: true
+    },
+    minutes: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Completed sessions this record counts for: 0 for time only (e.g. a timer
+    // stopped early), more than 1 only for records carried over from daily stats
+    sessions: {
+        type: Number,
+        default: 1,
+        min: 0
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters'],
+        default: ''
+    },
+    // Set on a record that takes back an earlier one
+    voidOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StudySession',
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+studySessionSchema.index({ userId: 1, date: 1 });
+studySessionSchema.index({ userId: 1, sessionId: 1 });
+studySessionSchema.index({ voidOf: 1 });
+
+// Records that still count: not voids themselves and not voided by a later record
+studySessionSchema.statics.findEffective = async function(userId, filter = {}) {
+    const voided = await this.distinct('voidOf', { userId, voidOf: { $ne: null } });
+
+    return this.find({
+        ...filter,
+        userId,
+        voidOf: null,
+        _id: { $nin: voided }
+    }).sort({ endedAt: 1 });
+};
+
+// Totals over a user's effective records, worked out in the database:
+// { minutes, sessions, lastEndedAt } (lastEndedAt is null without records)
+studySessionSchema.statics.totalsFor = async function(userId) {
+    const [totals] = await this.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(String(userId)), voidOf: null } },
+        { $lookup: { from: this.collection.name, localField: '_id', foreignField: 'voidOf', as: 'voids' } },
+        { $match: { voids: { $size: 0 } } },
+        {
+            $group: {
+                _id: null,
+                minutes: { $sum: '$minutes' },
+                sessions: { $sum: '$sessions' },
+                lastEndedAt: { $max: '$endedAt' }
+            }
+        }
+    ]);
+
+    return totals
+        ? { minutes: totals.minutes, sessions: totals.sessions, lastEndedAt: totals.lastEndedAt }
+        : { minutes: 0, sessions: 0, lastEndedAt: null };
+};
+
+module.exports = mongoose.model('StudySession', studySessionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { today, addDays } = require('../utils/dateUtils');
 
 const studyStatsSchema = new mongoose.Schema({
     userId: {
@@ -40,17 +41,18 @@ const studyStatsSchema = new mongoose.Schema({
 // Compound index for user's daily stats
 studyStatsSchema.index({ userId: 1, date: 1 }, { unique: true });
 
+// Days are calendar dates (UTC midnight) in the user's timezone, see utils/dateUtils
+
 // Static method to get or create today's stats
-studyStatsSchema.statics.getTodayStats = async function(userId) {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+studyStatsSchema.statics.getTodayStats = async function(userId, timeZone) {
+    const date = today(timeZone);
     
-    let stats = await this.findOne({ userId, date: today });
+    let stats = await this.findOne({ userId, date });
     
     if (!stats) {
         stats = await this.create({
             userId,
-            date: today,
+            date,
             sessionsCompleted: 0,
             totalStudyMinutes: 0,
             subjectsStudied: []
@@ -61,49 +63,13 @@ studyStatsSchema.statics.getTodayStats = async function(userId) {
 };
 
 // Static method to get weekly stats
-studyStatsSchema.statics.getWeeklyStats = async function(userId) {
-    const today = new Date();
-    today.setHours(23, 59, 59, 999);
-    
-    const weekAgo = new Date();
-    weekAgo.setDate(weekAgo.getDate() - 7);
-    weekAgo.setHours(0, 0, 0, 0);
+studyStatsSchema.statics.getWeeklyStats = async function(userId, timeZone) {
+    const date = today(timeZone);
     
     return await this.find({
         userId,
-        date: { $gte: weekAgo, $lte: today }
+        date: { $gte: addDays(date, -7), $lte: date }
     }).sort({ date: 1 });
 };
 
-// Static method to calculate streak
-studyStatsSchema.statics.calculateStreak = async function(userId) {
-    const stats = await this.find({ userId })
-        .sort({ date: -1 })
-        .limit(365);
-    
-    let streak = 0;
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    for (let i = 0; i < stats.length; i++) {
-        const statDate = new Date(stats[i].date);
-        statDate.setHours(0, 0, 0, 0);
-        
-        const expectedDate = new Date(today);
-        expectedDate.setDate(expectedDate.getDate() - i);
-        expectedDate.setHours(0, 0, 0, 0);
-        
-        if (statDate.getTime() === expectedDate.getTime() && stats[i].sessionsCompleted > 0) {
-            streak++;
-        } else if (i === 0 && statDate.getTime() !== expectedDate.getTime()) {
-            // Today hasn't been studied yet, check from yesterday
-            continue;
-        } else {
-            break;
-        }
-    }
-    
-    return streak;
-};
-
 module.exports = mongoose.model('StudyStats', studyStatsSchema);
@@ -1,5 +1,65 @@
 const mongoose = require('mongoose');
 
+// A dated assessment for the subject (midterm, final, quiz...)
+const examSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        trim: true,
+        default: 'Exam',
+        maxlength: [100, 'Exam title cannot exceed 100 characters']
+    },
+    date: {
+        type: Date,
+        required: [true, 'Exam date is required']
+    }
+});
+
+// A chapter or topic of the syllabus, kept in study order
+const topicSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: [true, 'Topic title is required'],
+        trim: true,
+        maxlength: [100, 'Topic title cannot exceed 100 characters']
+    },
+    estimatedMinutes: {
+        type: Number,
+        default: 60,
+        min: [5, 'Estimated effort must be at least 5 minutes'],
+        max: [6000, 'Estimated effort cannot exceed 6000 minutes']
+    },
+    status: {
+        type: String,
+        enum: ['not-started', 'in-progress', 'completed'],
+        default: 'not-started'
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    // Spaced repetition state (SM-2, see utils/spacedRepetition)
+    easeFactor: {
+        type: Number,
+        default: 2.5
+    },
+    intervalDays: {
+        type: Number,
+        default: 0
+    },
+    repetitions: {
+        type: Number,
+        default: 0
+    },
+    nextReviewDate: {
+        type: Date,
+        default: null
+    },
+    lastReviewedAt: {
+        type: Date,
+        default: null
+    }
+});
+
 const subjectSchema = new mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -41,10 +101,30 @@ const subjectSchema = new mongoose.Schema({
         min: 0,
         max: 10
     },
+    exams: {
+        type: [examSchema],
+        default: []
+    },
+    topics: {
+        type: [topicSchema],
+        default: []
+    },
+    // Derived from the subject's StudySession records (see utils/studyRecorder),
+    // so they are kept across regeneration, renames and archiving
     completedSessions: {
         type: Number,
         default: 0
     },
+    studiedMinutes: {
+        type: Number,
+        default: 0
+    },
+    // Study still planned from today on (refreshed from the timetable, see utils/subjectProgress)
+    plannedMinutes: {
+        type: Number,
+        default: 0
+    },
+    // Completed sessions plus the ones still planned
     totalSessions: {
         type: Number,
         default: 0
@@ -63,10 +143,19 @@ const subjectSchema = new mongoose.Schema({
     }
 });
 
-// Update progress based on completed sessions
+// Update progress based on syllabus coverage (completed topics weighted by effort),
+// falling back to studied minutes against the study still planned for subjects without topics
 subjectSchema.methods.updateProgress = function() {
-    if (this.totalSessions > 0) {
-        this.progress = Math.round((this.completedSessions / this.totalSessions) * 100);
+    if (this.topics.length > 0) {
+        const totalEffort = this.topics.reduce((acc, topic) => acc + topic.estimatedMinutes, 0);
+        const doneEffort = this.topics
+            .filter(topic => topic.status === 'completed')
+            .reduce((acc, topic) => acc + topic.estimatedMinutes, 0);
+        this.progress = totalEffort > 0 ? Math.round((doneEffort / totalEffort) * 100) : 0;
+    } else if (this.studiedMinutes + this.plannedMinutes > 0) {
+        this.progress = Math.round((this.studiedMinutes / (this.studiedMinutes + this.plannedMinutes)) * 100);
+    } else {
+        this.progress = 0;
     }
     return this.save();
 };
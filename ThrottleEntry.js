@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Attempt counter behind the Mongo store of utils/loginThrottle, one per key
+// such as "account:<email>" or "ip:<address>"
+const throttleEntrySchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    lastAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    // Whether the latest attempt was refused (it then leaves the count alone)
+    blocked: {
+        type: Boolean,
+        default: false
+    },
+    // End of the counting window (or of the lock, if later); MongoDB removes the entry then
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+throttleEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ThrottleEntry', throttleEntrySchema);
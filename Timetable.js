@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { addDays, startOfWeek } = require('../utils/dateUtils');
 
 const sessionSchema = new mongoose.Schema({
     subject: {
@@ -10,6 +11,15 @@ const sessionSchema = new mongoose.Schema({
         ref: 'Subject',
         default: null
     },
+    // Syllabus topic this session works on (see Subject.topics)
+    topicId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    topic: {
+        type: String,
+        default: null
+    },
     startTime: {
         type: String,
         required: true
@@ -24,13 +34,45 @@ const sessionSchema = new mongoose.Schema({
     },
     type: {
         type: String,
-        enum: ['study', 'break'],
+        enum: ['study', 'break', 'review'],
         required: true
     },
     completed: {
         type: Boolean,
         default: false
     },
+    // Recall rating (SM-2 quality 0-5) given when a review session is completed
+    recall: {
+        type: Number,
+        min: 0,
+        max: 5,
+        default: null
+    },
+    // Minutes actually credited for this session (set by the focus timer or on completion)
+    actualMinutes: {
+        type: Number,
+        default: null
+    },
+    // Set when a study session's time passed without it being completed
+    missed: {
+        type: Boolean,
+        default: false
+    },
+    // The user undid the rescheduling of this missed session; it is not picked up again
+    missedUndone: {
+        type: Boolean,
+        default: false
+    },
+    // Missed session whose minutes this session makes up
+    rescheduledFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    // Locked sessions are fixed blocks: regeneration plans around them instead of replacing them
+    locked: {
+        type: Boolean,
+        default: false
+    },
     color: {
         type: String,
         default: '#3B82F6'
@@ -43,6 +85,11 @@ const timetableSchema = new mongoose.Schema({
         ref: 'User',
         required: true
     },
+    // Calendar day this plan belongs to (UTC midnight, see utils/dateUtils)
+    date: {
+        type: Date,
+        required: true
+    },
     dayOfWeek: {
         type: Number,
         required: true,
@@ -76,7 +123,7 @@ const timetableSchema = new mongoose.Schema({
 // Calculate totals before saving
 timetableSchema.pre('save', function(next) {
     this.totalStudyMinutes = this.sessions
-        .filter(s => s.type === 'study')
+        .filter(s => s.type !== 'break')
         .reduce((acc, s) => acc + s.duration, 0);
     
     this.totalBreakMinutes = this.sessions
@@ -87,7 +134,31 @@ timetableSchema.pre('save', function(next) {
     next();
 });
 
-// Compound index for user's timetable
-timetableSchema.index({ userId: 1, dayOfWeek: 1 }, { unique: true });
+// One plan per user per calendar day
+timetableSchema.index({ userId: 1, date: 1 }, { unique: true });
+
+// Static method to get a user's days within an inclusive date range
+timetableSchema.statics.findRange = function(userId, from, to) {
+    return this.find({
+        userId,
+        date: { $gte: from, $lte: to }
+    }).sort({ date: 1 });
+};
+
+// Static method to date timetables saved before plans were tied to calendar days.
+// Each legacy day is placed in the week it was generated so it becomes history.
+timetableSchema.statics.migrateLegacyWeeks = async function() {
+    const legacy = await this.find({ date: { $exists: false } }).lean();
+
+    for (const day of legacy) {
+        const created = new Date(day.createdAt || Date.now());
+        const createdDay = new Date(Date.UTC(created.getFullYear(), created.getMonth(), created.getDate()));
+        const date = addDays(startOfWeek(createdDay), day.dayOfWeek);
+
+        await this.updateOne({ _id: day._id }, { $set: { date } });
+    }
+
+    return legacy.length;
+};
 
 module.exports = mongoose.model('Timetable', timetableSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const Timetable = require('./Timetable');
+
+// Versions store sessions exactly as timetable days do
+const sessionSchema = Timetable.schema.path('sessions').schema;
+
+const versionDaySchema = new mongoose.Schema({
+    date: {
+        type: Date,
+        required: true
+    },
+    dayOfWeek: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 6
+    },
+    dayName: {
+        type: String,
+        required: true
+    },
+    sessions: [sessionSchema]
+}, { _id: false });
+
+// Snapshot of a user's upcoming plan, taken after every generation or edit
+const timetableVersionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: ['generate', 'regenerate', 'edit', 'reschedule', 'undo-reschedule', 'restore'],
+        required: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    // First day the snapshot covers; earlier days were already history
+    fromDate: {
+        type: Date,
+        required: true
+    },
+    days: [versionDaySchema],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+timetableVersionSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('TimetableVersion', timetableVersionSchema);
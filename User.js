@@ -1,5 +1,29 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { isValidTimezone } = require('../utils/dateUtils');
+
+// 24-hour clock time, e.g. "09:00" or "16:30" ("24:00" closes a window at midnight)
+const CLOCK_TIME_REGEX = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+// A block of time on a given weekday when the user is free to study
+const availabilityWindowSchema = new mongoose.Schema({
+    dayOfWeek: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 6
+    },
+    start: {
+        type: String,
+        required: true,
+        match: [CLOCK_TIME_REGEX, 'Start time must be in HH:MM format']
+    },
+    end: {
+        type: String,
+        required: true,
+        match: [CLOCK_TIME_REGEX, 'End time must be in HH:MM format']
+    }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
     name: {
@@ -22,6 +46,11 @@ const userSchema = new mongoose.Schema({
         required: [true, 'Password is required'],
         minlength: [6, 'Password must be at least 6 characters']
     },
+    // Set once the user opens the link in their verification email
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
     preferences: {
         dailyHours: {
             type: Number,
@@ -38,6 +67,57 @@ const userSchema = new mongoose.Schema({
             type: Number,
             default: 5,
             enum: [5, 10, 15]
+        },
+        // How many weeks ahead a generated plan covers
+        planWeeks: {
+            type: Number,
+            default: 2,
+            min: 1,
+            max: 8
+        },
+        // Weekly availability; when empty the generator falls back to its default day
+        availability: {
+            type: [availabilityWindowSchema],
+            default: []
+        },
+        // IANA timezone that decides which calendar day "today" is for stats, streaks and plans
+        timezone: {
+            type: String,
+            default: 'UTC',
+            validate: [isValidTimezone, 'Timezone must be an IANA timezone such as Europe/Berlin']
+        },
+        // Streak rules (see utils/streaks)
+        streak: {
+            // Minutes a day needs before it counts towards the streak
+            minMinutes: {
+                type: Number,
+                default: 0,
+                min: 0,
+                max: 600
+            },
+            // Weekdays (0 = Monday) that are always rest days
+            restWeekdays: {
+                type: [{ type: Number, min: 0, max: 6 }],
+                default: []
+            },
+            // Planned rest days (calendar dates) that don't break the streak
+            restDates: {
+                type: [Date],
+                default: []
+            },
+            // A freeze is earned every freezeEvery streak days, up to maxFreezes
+            freezeEvery: {
+                type: Number,
+                default: 7,
+                min: 1,
+                max: 60
+            },
+            maxFreezes: {
+                type: Number,
+                default: 2,
+                min: 0,
+                max: 10
+            }
         }
     },
     statistics: {
@@ -49,6 +129,14 @@ const userSchema = new mongoose.Schema({
             type: Number,
             default: 0
         },
+        longestStreak: {
+            type: Number,
+            default: 0
+        },
+        streakFreezes: {
+            type: Number,
+            default: 0
+        },
         lastStudyDate: {
             type: Date,
             default: null
@@ -58,6 +146,11 @@ const userSchema = new mongoose.Schema({
             default: 0
         }
     },
+    // Secret that lets calendar apps subscribe to the timetable feed without logging in
+    calendarFeedToken: {
+        type: String,
+        index: { unique: true, sparse: true }
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -89,15 +182,22 @@ userSchema.pre('save', function(next) {
     next();
 });
 
+// Static method to get a user's timezone (UTC when the user is unknown)
+userSchema.statics.getTimezone = async function(userId) {
+    const user = await this.findById(userId).select('preferences.timezone');
+    return (user && user.preferences.timezone) || 'UTC';
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Remove password from JSON output
+// Remove secrets from JSON output
 userSchema.methods.toJSON = function() {
     const user = this.toObject();
     delete user.password;
+    delete user.calendarFeedToken;
     return user;
 };
 
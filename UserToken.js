@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A single-use secret emailed to the user, e.g. to reset their password.
+// Only its hash is stored; it is spent by setting usedAt.
+const userTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    purpose: {
+        type: String,
+        enum: ['password-reset', 'email-verification'],
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+userTokenSchema.index({ userId: 1, purpose: 1 });
+
+// Expired tokens are removed by MongoDB
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
@@ -0,0 +1,136 @@
+/**
+ * Account Data
+ * Everything stored about a user, in one place: the regular JSON export, the
+ * full archive handed over when an account is closed, and the purge that
+ * deletes it all. A new collection holding user data belongs in USER_DATA.
+ */
+
+const User = require('../models/User');
+const Subject = require('../models/Subject');
+const Timetable = require('../models/Timetable');
+const StudyStats = require('../models/StudyStats');
+const StudySession = require('../models/StudySession');
+const FocusSession = require('../models/FocusSession');
+const Reschedule = require('../models/Reschedule');
+const TimetableVersion = require('../models/TimetableVersion');
+const Goal = require('../models/Goal');
+const AuthSession = require('../models/AuthSession');
+const UserToken = require('../models/UserToken');
+const LoginAttempt = require('../models/LoginAttempt');
+const { clearLoginFailures } = require('./loginThrottle');
+
+// Collections holding a user's data, with the archive key they are exported
+// under (null: deleted with the account but never exported, e.g. secrets)
+const USER_DATA = [
+    { model: Subject, key: 'subjects' },
+    { model: Timetable, key: 'timetable', sort: { date: 1 } },
+    { model: StudyStats, key: 'studyStats', sort: { date: 1 } },
+    { model: StudySession, key: 'studyLog', sort: { createdAt: 1 } },
+    { model: Goal, key: 'goals' },
+    { model: FocusSession, key: 'focusSessions', sort: { startedAt: 1 } },
+    { model: Reschedule, key: 'reschedules', sort: { createdAt: 1 } },
+    { model: TimetableVersion, key: 'timetableVersions', sort: { createdAt: 1 } },
+    { model: AuthSession, key: 'signIns', select: '-tokenHash -previousTokenHash -sealedToken', sort: { createdAt: 1 } },
+    { model: LoginAttempt, key: 'loginHistory', select: '-userId', sort: { createdAt: 1 } },
+    { model: UserToken, key: null }
+];
+
+// Keys of the regular export, which can be imported again
+const EXPORT_KEYS = ['subjects', 'timetable', 'studyStats'];
+
+// Keys of the study data, as opposed to the account's sign-ins and secrets
+const STUDY_DATA_KEYS = [
+    'subjects', 'timetable', 'studyStats', 'studyLog',
+    'goals', 'focusSessions', 'reschedules', 'timetableVersions'
+];
+
+/**
+ * The user's own details as exported
+ */
+function describeUser(user) {
+    return {
+        name: user.name,
+        email: user.email,
+        preferences: user.preferences,
+        statistics: user.statistics
+    };
+}
+
+/**
+ * Load the exported collections named by keys
+ */
+async function loadCollections(userId, keys) {
+    const sources = USER_DATA.filter(source => keys.includes(source.key));
+    const results = await Promise.all(sources.map(({ model, select, sort }) => {
+        const query = model.find({ userId });
+        if (select) query.select(select);
+        if (sort) query.sort(sort);
+        return query;
+    }));
+
+    return Object.fromEntries(sources.map((source, index) => [source.key, results[index]]));
+}
+
+/**
+ * The regular JSON export of subjects, timetable and daily stats
+ */
+async function buildExport(user) {
+    return {
+        exportDate: new Date().toISOString(),
+        user: describeUser(user),
+        ...await loadCollections(user._id, EXPORT_KEYS)
+    };
+}
+
+/**
+ * Everything stored about the user. It starts with the regular export, so
+ * the archive can be imported into a new account.
+ */
+async function buildArchive(user) {
+    const keys = USER_DATA.map(source => source.key).filter(Boolean);
+
+    return {
+        exportDate: new Date().toISOString(),
+        user: {
+            ...describeUser(user),
+            emailVerified: user.emailVerified,
+            createdAt: user.createdAt
+        },
+        ...await loadCollections(user._id, keys)
+    };
+}
+
+/**
+ * Delete the user's study data but keep the account, e.g. before an import
+ * replaces it. Collections are cleared one at a time so the deletes can share
+ * a transaction (options.session).
+ */
+async function clearStudyData(userId, options = {}) {
+    for (const { model, key } of USER_DATA) {
+        if (STUDY_DATA_KEYS.includes(key)) {
+            await model.deleteMany({ userId }, options);
+        }
+    }
+}
+
+/**
+ * Delete the user and all their data, including the failed login count for
+ * their email, returning how many records each collection lost
+ */
+async function purgeUserData(user) {
+    const userId = user._id;
+    const results = await Promise.all(USER_DATA.map(({ model }) => model.deleteMany({ userId })));
+    await Promise.all([
+        User.deleteOne({ _id: userId }),
+        clearLoginFailures(user.email)
+    ]);
+
+    return Object.fromEntries(USER_DATA.map(({ model }, index) => [model.modelName, results[index].deletedCount]));
+}
+
+module.exports = {
+    buildExport,
+    buildArchive,
+    clearStudyData,
+    purgeUserData
+};
@@ -0,0 +1,109 @@
+/**
+ * Account Emails
+ * Single-use, expiring tokens sent by email to verify an address or reset a
+ * password. Issuing a token spends the user's earlier ones of the same kind,
+ * so only the latest email works.
+ */
+
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken');
+const { hashToken } = require('./tokens');
+const { sendMail } = require('./mailer');
+
+const TOKEN_LIFETIME_MINUTES = {
+    'password-reset': 60,
+    'email-verification': 60 * 24
+};
+
+/**
+ * Issue a new token for the user, spending any earlier unused ones
+ */
+async function issueUserToken(userId, purpose) {
+    await spendUserTokens(userId, purpose);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await UserToken.create({
+        userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + TOKEN_LIFETIME_MINUTES[purpose] * 60 * 1000)
+    });
+
+    return token;
+}
+
+/**
+ * Spend a token, returning the id of the user it was issued to, or null when
+ * it is unknown, expired or already used
+ */
+async function consumeUserToken(token, purpose) {
+    if (!token || typeof token !== 'string') return null;
+
+    const userToken = await UserToken.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+        { usedAt: new Date() }
+    );
+
+    return userToken ? userToken.userId : null;
+}
+
+/**
+ * Spend all of the user's unused tokens of a kind
+ */
+function spendUserTokens(userId, purpose) {
+    return UserToken.updateMany({ userId, purpose, usedAt: null }, { usedAt: new Date() });
+}
+
+/**
+ * Whether the server may start: production needs APP_URL, since links are
+ * never built from the request's Host header (a forged one would send reset
+ * tokens to someone else's site)
+ */
+function hasAppUrl() {
+    return Boolean(process.env.APP_URL) || process.env.NODE_ENV !== 'production';
+}
+
+// Link back into the app at APP_URL (outside production, the local server by default)
+function appLink(params) {
+    const base = process.env.APP_URL || `http://localhost:${process.env.PORT || 5000}`;
+    return `${base.replace(/\/$/, '')}/index.html?${new URLSearchParams(params)}`;
+}
+
+/**
+ * Email the user a link to verify their address
+ */
+async function sendVerificationEmail(user) {
+    const token = await issueUserToken(user._id, 'email-verification');
+
+    await sendMail({
+        to: user.email,
+        subject: 'Verify your StudyMate AI email address',
+        text: `Hi ${user.name},\n\n` +
+            `Please confirm your email address by opening this link:\n${appLink({ verifyToken: token })}\n\n` +
+            `The link expires in ${TOKEN_LIFETIME_MINUTES['email-verification'] / 60} hours.`
+    });
+}
+
+/**
+ * Email the user a link to choose a new password
+ */
+async function sendPasswordResetEmail(user) {
+    const token = await issueUserToken(user._id, 'password-reset');
+
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your StudyMate AI password',
+        text: `Hi ${user.name},\n\n` +
+            `Someone asked to reset your password. To choose a new one, open this link:\n${appLink({ resetToken: token })}\n\n` +
+            `The link expires in ${TOKEN_LIFETIME_MINUTES['password-reset']} minutes. ` +
+            'If you did not ask for this, you can ignore this email.'
+    });
+}
+
+module.exports = {
+    consumeUserToken,
+    spendUserTokens,
+    hasAppUrl,
+    sendVerificationEmail,
+    sendPasswordResetEmail
+};
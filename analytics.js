@@ -0,0 +1,222 @@
+/**
+ * Analytics
+ * Long-range totals built with aggregation pipelines over the study log
+ * (StudySession) and the plan (Timetable). Study days are calendar dates
+ * stored as UTC midnight, so periods are grouped in UTC; time of day uses
+ * the user's timezone.
+ */
+
+const mongoose = require('mongoose');
+const StudySession = require('../models/StudySession');
+const Timetable = require('../models/Timetable');
+
+const GROUP_BY = ['day', 'week', 'month'];
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Expression for the "YYYY-MM-DD" (day, Monday of the week) or "YYYY-MM"
+ * (month) period a date field falls in
+ */
+function periodExpression(field, groupBy) {
+    if (groupBy === 'month') {
+        return { $dateToString: { format: '%Y-%m', date: field } };
+    }
+
+    if (groupBy === 'week') {
+        // $dayOfWeek is 1 (Sunday) to 7 (Saturday); step back to Monday
+        const daysSinceMonday = { $mod: [{ $add: [{ $dayOfWeek: field }, 5] }, 7] };
+        return {
+            $dateToString: {
+                format: '%Y-%m-%d',
+                date: { $subtract: [field, { $multiply: [daysSinceMonday, MS_PER_DAY] }] }
+            }
+        };
+    }
+
+    return { $dateToString: { format: '%Y-%m-%d', date: field } };
+}
+
+/**
+ * Stages selecting the study records in a range that still count (neither
+ * voids nor voided by a later record)
+ */
+function effectiveRecords(userId, from, to) {
+    return [
+        {
+            $match: {
+                userId: new mongoose.Types.ObjectId(String(userId)),
+                voidOf: null,
+                date: { $gte: from, $lte: to }
+            }
+        },
+        {
+            $lookup: {
+                from: StudySession.collection.name,
+                localField: '_id',
+                foreignField: 'voidOf',
+                as: 'voids'
+            }
+        },
+        { $match: { voids: { $size: 0 } } }
+    ];
+}
+
+/**
+ * Minutes and completed sessions studied per day, week or month
+ */
+function getStudyTotals(userId, { from, to, groupBy = 'day' }) {
+    return StudySession.aggregate([
+        ...effectiveRecords(userId, from, to),
+        {
+            $group: {
+                _id: periodExpression('$date', groupBy),
+                minutes: { $sum: '$minutes' },
+                sessions: { $sum: '$sessions' }
+            }
+        },
+        { $sort: { _id: 1 } },
+        { $project: { _id: 0, period: '$_id', minutes: 1, sessions: 1 } }
+    ]);
+}
+
+/**
+ * Per-subject time series of minutes and sessions, biggest subject first
+ */
+function getSubjectSeries(userId, { from, to, groupBy = 'day' }) {
+    return StudySession.aggregate([
+        ...effectiveRecords(userId, from, to),
+        {
+            $group: {
+                _id: {
+                    subjectId: '$subjectId',
+                    subjectName: { $cond: [{ $eq: ['$subjectId', null] }, '$subjectName', null] },
+                    period: periodExpression('$date', groupBy)
+                },
+                subjectName: { $last: '$subjectName' },
+                minutes: { $sum: '$minutes' },
+                sessions: { $sum: '$sessions' }
+            }
+        },
+        { $sort: { '_id.period': 1 } },
+        {
+            $group: {
+                _id: { subjectId: '$_id.subjectId', subjectName: '$_id.subjectName' },
+                subjectName: { $last: '$subjectName' },
+                minutes: { $sum: '$minutes' },
+                sessions: { $sum: '$sessions' },
+                series: { $push: { period: '$_id.period', minutes: '$minutes', sessions: '$sessions' } }
+            }
+        },
+        { $sort: { minutes: -1 } },
+        {
+            $project: {
+                _id: 0,
+                subjectId: '$_id.subjectId',
+                subjectName: 1,
+                minutes: 1,
+                sessions: 1,
+                series: 1
+            }
+        }
+    ]);
+}
+
+/**
+ * Planned study and review minutes against the minutes actually studied, per
+ * period. Actual minutes include study that was not planned (e.g. logged by hand).
+ */
+async function getPlannedVsActual(userId, { from, to, groupBy = 'day' }) {
+    const [planned, actual] = await Promise.all([
+        Timetable.aggregate([
+            {
+                $match: {
+                    userId: new mongoose.Types.ObjectId(String(userId)),
+                    date: { $gte: from, $lte: to }
+                }
+            },
+            { $unwind: '$sessions' },
+            { $match: { 'sessions.type': { $in: ['study', 'review'] } } },
+            {
+                $group: {
+                    _id: periodExpression('$date', groupBy),
+                    plannedMinutes: { $sum: '$sessions.duration' },
+                    plannedSessions: { $sum: 1 },
+                    completedSessions: { $sum: { $cond: ['$sessions.completed', 1, 0] } }
+                }
+            }
+        ]),
+        getStudyTotals(userId, { from, to, groupBy })
+    ]);
+
+    const periods = new Map();
+    const entry = (period) => {
+        if (!periods.has(period)) {
+            periods.set(period, { period, plannedMinutes: 0, actualMinutes: 0, plannedSessions: 0, completedSessions: 0 });
+        }
+        return periods.get(period);
+    };
+
+    planned.forEach(({ _id, plannedMinutes, plannedSessions, completedSessions }) => {
+        Object.assign(entry(_id), { plannedMinutes, plannedSessions, completedSessions });
+    });
+    actual.forEach(({ period, minutes }) => {
+        entry(period).actualMinutes = minutes;
+    });
+
+    return [...periods.values()]
+        .sort((a, b) => a.period.localeCompare(b.period))
+        .map(period => ({
+            ...period,
+            completionRate: period.plannedMinutes > 0
+                ? Math.round((period.actualMinutes / period.plannedMinutes) * 100)
+                : null
+        }));
+}
+
+/**
+ * Minutes studied by hour of day and by weekday (0 = Monday) in the user's
+ * timezone. Records carried over from daily stats have no time and are left out.
+ */
+async function getTimeOfDay(userId, { from, to, timeZone = 'UTC' }) {
+    const [result] = await StudySession.aggregate([
+        ...effectiveRecords(userId, from, to),
+        { $match: { source: { $ne: 'legacy' }, minutes: { $gt: 0 } } },
+        {
+            $facet: {
+                byHour: [
+                    { $group: { _id: { $hour: { date: '$startedAt', timezone: timeZone } }, minutes: { $sum: '$minutes' } } },
+                    { $project: { _id: 0, hour: '$_id', minutes: 1 } }
+                ],
+                byWeekday: [
+                    {
+                        $group: {
+                            _id: { $mod: [{ $add: [{ $dayOfWeek: { date: '$startedAt', timezone: timeZone } }, 5] }, 7] },
+                            minutes: { $sum: '$minutes' }
+                        }
+                    },
+                    { $project: { _id: 0, dayOfWeek: '$_id', minutes: 1 } }
+                ]
+            }
+        }
+    ]);
+
+    // Fill in hours and weekdays without study
+    const hours = Array.from({ length: 24 }, (_, hour) => ({
+        hour,
+        minutes: (result.byHour.find(entry => entry.hour === hour) || { minutes: 0 }).minutes
+    }));
+    const weekdays = Array.from({ length: 7 }, (_, dayOfWeek) => ({
+        dayOfWeek,
+        minutes: (result.byWeekday.find(entry => entry.dayOfWeek === dayOfWeek) || { minutes: 0 }).minutes
+    }));
+
+    return { hours, weekdays };
+}
+
+module.exports = {
+    GROUP_BY,
+    getStudyTotals,
+    getSubjectSeries,
+    getPlannedVsActual,
+    getTimeOfDay
+};
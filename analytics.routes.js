@@ -0,0 +1,94 @@
+const express = require('express');
+const { auth } = require('../middleware/auth');
+const { parseDateKey, today, addDays, daysBetween } = require('../utils/dateUtils');
+const { GROUP_BY, getStudyTotals, getSubjectSeries, getPlannedVsActual, getTimeOfDay } = require('../utils/analytics');
+
+const router = express.Router();
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 731;
+
+// Parse ?from=YYYY-MM-DD&to=YYYY-MM-DD&groupBy=day|week|month, defaulting to the
+// last 30 days up to today in the user's timezone
+const parseAnalyticsQuery = (req) => {
+    const { groupBy = 'day' } = req.query;
+    const todayDate = today(req.user.preferences.timezone);
+    const to = req.query.to ? parseDateKey(req.query.to) : todayDate;
+    const from = req.query.from ? parseDateKey(req.query.from) : addDays(to || todayDate, -(DEFAULT_RANGE_DAYS - 1));
+
+    if (!from || !to) {
+        return { error: 'Invalid date. Use YYYY-MM-DD' };
+    }
+
+    if (to < from) {
+        return { error: '"to" must be on or after "from"' };
+    }
+
+    if (daysBetween(from, to) >= MAX_RANGE_DAYS) {
+        return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+    }
+
+    if (!GROUP_BY.includes(groupBy)) {
+        return { error: `Invalid groupBy. Use one of: ${GROUP_BY.join(', ')}` };
+    }
+
+    return { from, to, groupBy };
+};
+
+// Run an analytics query for the parsed range and send it
+const sendAnalytics = (label, query) => async (req, res) => {
+    try {
+        const range = parseAnalyticsQuery(req);
+
+        if (range.error) {
+            return res.status(400).json({
+                success: false,
+                message: range.error
+            });
+        }
+
+        const data = await query(req, range);
+
+        res.json({
+            success: true,
+            range: {
+                from: range.from,
+                to: range.to,
+                groupBy: range.groupBy
+            },
+            data
+        });
+    } catch (error) {
+        console.error(`Get ${label} error:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+// @route   GET /api/analytics/totals
+// @desc    Minutes and sessions studied per day, week or month (?from&to&groupBy)
+// @access  Private
+router.get('/totals', auth, sendAnalytics('study totals', (req, range) => getStudyTotals(req.userId, range)));
+
+// @route   GET /api/analytics/subjects
+// @desc    Per-subject time series of minutes and sessions (?from&to&groupBy)
+// @access  Private
+router.get('/subjects', auth, sendAnalytics('subject series', (req, range) => getSubjectSeries(req.userId, range)));
+
+// @route   GET /api/analytics/planned-vs-actual
+// @desc    Planned minutes against minutes studied per period (?from&to&groupBy)
+// @access  Private
+router.get('/planned-vs-actual', auth, sendAnalytics('planned vs actual', (req, range) => getPlannedVsActual(req.userId, range)));
+
+// @route   GET /api/analytics/time-of-day
+// @desc    Minutes studied by hour of day and weekday in the user's timezone (?from&to)
+// @access  Private
+router.get('/time-of-day', auth, sendAnalytics('time of day', (req, range) => getTimeOfDay(req.userId, {
+    ...range,
+    timeZone: req.user.preferences.timezone
+})));
+
+module.exports = router;
@@ -11,13 +11,73 @@ let currentUser = null;
 let subjects = [];
 let timetable = [];
 let stats = null;
+let focusState = null;
+let focusSyncedAt = 0;
+let focusInterval = null;
 
 // ==================== UTILITY FUNCTIONS ====================
 
 /**
- * Make API requests with authentication
+ * Swap the stored refresh token for new tokens. Concurrent callers share one
+ * request, since each refresh token can only be used once. Tabs share the
+ * stored tokens, so they take turns (Web Locks): a tab that waited while
+ * another one refreshed just uses the tokens it stored.
  */
-async function fetchAPI(endpoint, options = {}) {
+let refreshRequest = null;
+function refreshTokens() {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) return Promise.resolve(false);
+    
+    if (!refreshRequest) {
+        const refresh = () => {
+            const current = localStorage.getItem('refreshToken');
+            if (current !== refreshToken) return Boolean(current);
+            
+            return fetch(`${API_BASE}/api/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            })
+                .then(response => response.json())
+                .then(data => {
+                    if (data.success) storeTokens(data.data);
+                    return data.success;
+                });
+        };
+        
+        refreshRequest = (navigator.locks
+            ? navigator.locks.request('studymate-token-refresh', refresh)
+            : Promise.resolve().then(refresh))
+            .catch(() => false)
+            .finally(() => { refreshRequest = null; });
+    }
+    
+    return refreshRequest;
+}
+
+/**
+ * Keep the tokens from login, registration or a refresh
+ */
+function storeTokens({ token, refreshToken }) {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+}
+
+/**
+ * Forget the signed-in user and go back to the landing page
+ */
+function clearSession() {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('user');
+    window.location.href = 'index.html';
+}
+
+/**
+ * Make API requests with authentication. An expired access token is
+ * refreshed once and the request retried.
+ */
+async function fetchAPI(endpoint, options = {}, retried = false) {
     const token = localStorage.getItem('token');
     
     const defaultOptions = {
@@ -40,11 +100,13 @@ async function fetchAPI(endpoint, options = {}) {
         const response = await fetch(`${API_BASE}${endpoint}`, mergedOptions);
         const data = await response.json();
         
-        if (response.status === 401) {
+        if (response.status === 401 && token) {
             // Token expired or invalid
-            localStorage.removeItem('token');
-            localStorage.removeItem('user');
-            window.location.href = 'index.html';
+            if (!retried && await refreshTokens()) {
+                return fetchAPI(endpoint, options, true);
+            }
+            
+            clearSession();
             return { success: false, message: 'Session expired' };
         }
         
@@ -73,6 +135,37 @@ function showToast(message, type = 'info') {
     }, 3000);
 }
 
+/**
+ * Format a date as a local "YYYY-MM-DD" key, matching timetable dates from the API
+ */
+function getDateKey(date = new Date()) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Today's date in the user's timezone, as a local midnight Date so it works
+ * with getDateKey and the pages' local date arithmetic
+ */
+function getUserToday() {
+    const user = currentUser || JSON.parse(localStorage.getItem('user') || 'null');
+    const parts = {};
+    let format;
+    
+    try {
+        format = new Intl.DateTimeFormat('en-US', { timeZone: user?.preferences?.timezone, year: 'numeric', month: 'numeric', day: 'numeric' });
+    } catch (error) {
+        format = new Intl.DateTimeFormat('en-US', { year: 'numeric', month: 'numeric', day: 'numeric' });
+    }
+    
+    format.formatToParts(new Date()).forEach(({ type, value }) => {
+        parts[type] = Number(value);
+    });
+    return new Date(parts.year, parts.month - 1, parts.day);
+}
+
 /**
  * Check authentication status
  */
@@ -90,9 +183,7 @@ function checkAuth() {
         updateUserUI();
         return true;
     } catch (e) {
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
-        window.location.href = 'index.html';
+        clearSession();
         return false;
     }
 }
@@ -116,6 +207,9 @@ function updateUserUI() {
     if (userName) userName.textContent = currentUser.name || 'User';
     if (userEmail) userEmail.textContent = currentUser.email || '';
     if (welcomeName) welcomeName.textContent = currentUser.name?.split(' ')[0] || 'User';
+    
+    const verifyEmailBanner = document.getElementById('verifyEmailBanner');
+    if (verifyEmailBanner) verifyEmailBanner.classList.toggle('hidden', currentUser.emailVerified !== false);
 }
 
 // ==================== AUTHENTICATION ====================
@@ -183,7 +277,7 @@ async function handleLogin(event) {
         });
         
         if (response.success) {
-            localStorage.setItem('token', response.data.token);
+            storeTokens(response.data);
             localStorage.setItem('user', JSON.stringify(response.data.user));
             window.location.href = 'dashboard.html';
         } else {
@@ -210,11 +304,11 @@ async function handleRegister(event) {
     try {
         const response = await fetchAPI('/api/auth/register', {
             method: 'POST',
-            body: JSON.stringify({ name, email, password })
+            body: JSON.stringify({ name, email, password, timezone: Intl.DateTimeFormat().resolvedOptions().timeZone })
         });
         
         if (response.success) {
-            localStorage.setItem('token', response.data.token);
+            storeTokens(response.data);
             localStorage.setItem('user', JSON.stringify(response.data.user));
             window.location.href = 'dashboard.html';
         } else {
@@ -227,13 +321,159 @@ async function handleRegister(event) {
     }
 }
 
+/**
+ * Show forgot password modal
+ */
+function showForgotPasswordModal() {
+    const modal = document.getElementById('forgotPasswordModal');
+    if (modal) {
+        modal.classList.remove('hidden');
+        modal.classList.add('flex');
+    }
+}
+
+/**
+ * Hide forgot password modal
+ */
+function hideForgotPasswordModal() {
+    const modal = document.getElementById('forgotPasswordModal');
+    if (modal) {
+        modal.classList.add('hidden');
+        modal.classList.remove('flex');
+    }
+    document.getElementById('forgotPasswordMessage')?.classList.add('hidden');
+}
+
+/**
+ * Show reset password modal
+ */
+function showResetPasswordModal() {
+    const modal = document.getElementById('resetPasswordModal');
+    if (modal) {
+        modal.classList.remove('hidden');
+        modal.classList.add('flex');
+    }
+}
+
+/**
+ * Hide reset password modal
+ */
+function hideResetPasswordModal() {
+    const modal = document.getElementById('resetPasswordModal');
+    if (modal) {
+        modal.classList.add('hidden');
+        modal.classList.remove('flex');
+    }
+    document.getElementById('resetPasswordError')?.classList.add('hidden');
+}
+
+/**
+ * Handle forgot password form submission
+ */
+async function handleForgotPassword(event) {
+    event.preventDefault();
+    
+    const email = document.getElementById('forgotPasswordEmail').value;
+    const messageDiv = document.getElementById('forgotPasswordMessage');
+    
+    const response = await fetchAPI('/api/auth/forgot-password', {
+        method: 'POST',
+        body: JSON.stringify({ email })
+    });
+    
+    messageDiv.textContent = response.message || 'An error occurred. Please try again.';
+    messageDiv.classList.remove('hidden');
+}
+
+/**
+ * Handle reset password form submission, using the token from the emailed link
+ */
+async function handleResetPassword(event) {
+    event.preventDefault();
+    
+    const token = new URLSearchParams(window.location.search).get('resetToken');
+    const password = document.getElementById('resetPassword').value;
+    const errorDiv = document.getElementById('resetPasswordError');
+    
+    const response = await fetchAPI('/api/auth/reset-password', {
+        method: 'POST',
+        body: JSON.stringify({ token, password })
+    });
+    
+    if (response.success) {
+        // Every device was signed out, this one included
+        localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
+        localStorage.removeItem('user');
+        window.history.replaceState({}, '', window.location.pathname);
+        hideResetPasswordModal();
+        showToast(response.message, 'success');
+        showLoginModal();
+    } else {
+        errorDiv.textContent = response.message || 'Password reset failed';
+        errorDiv.classList.remove('hidden');
+    }
+}
+
+/**
+ * Act on a link from a password reset or verification email. Returns true
+ * when the page was opened from one.
+ */
+function handleAccountLinks() {
+    const params = new URLSearchParams(window.location.search);
+    
+    if (params.has('resetToken')) {
+        showResetPasswordModal();
+        return true;
+    }
+    
+    if (params.has('verifyToken')) {
+        verifyEmail(params.get('verifyToken'));
+        return true;
+    }
+    
+    return false;
+}
+
+/**
+ * Verify the email address from a verification link
+ */
+async function verifyEmail(token) {
+    const response = await fetchAPI('/api/auth/verify-email', {
+        method: 'POST',
+        body: JSON.stringify({ token })
+    });
+    
+    window.history.replaceState({}, '', window.location.pathname);
+    showToast(response.message || 'Email verification failed', response.success ? 'success' : 'error');
+    
+    if (!localStorage.getItem('token')) {
+        showLoginModal();
+        return;
+    }
+    
+    if (response.success) {
+        const user = JSON.parse(localStorage.getItem('user') || '{}');
+        localStorage.setItem('user', JSON.stringify({ ...user, emailVerified: true }));
+    }
+    setTimeout(() => { window.location.href = 'dashboard.html'; }, 1500);
+}
+
+/**
+ * Send a new verification email to the signed-in user
+ */
+async function resendVerificationEmail() {
+    const response = await fetchAPI('/api/auth/resend-verification', { method: 'POST' });
+    showToast(response.message || 'Failed to send verification email', response.success ? 'success' : 'error');
+}
+
 /**
  * Handle logout
  */
-function handleLogout() {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
-    window.location.href = 'index.html';
+async function handleLogout() {
+    // Revoke this device's session on the server too
+    await fetchAPI('/api/auth/logout', { method: 'POST' });
+    clearSession();
 }
 
 // ==================== DASHBOARD ====================
@@ -261,6 +501,8 @@ async function loadDashboard() {
             renderSubjectProgress(userSubjects);
             renderTodaySchedule(userTimetable);
             loadPreferences(user.preferences);
+            loadActiveFocus();
+            loadGoals();
         }
     } catch (error) {
         console.error('Error loading dashboard:', error);
@@ -279,6 +521,8 @@ function updateDashboardStats(statistics) {
     
     if (totalSubjects) totalSubjects.textContent = statistics.totalSubjects || 0;
     if (currentStreak) currentStreak.textContent = statistics.streak || 0;
+    const streakDetails = document.getElementById('streakDetails');
+    if (streakDetails) streakDetails.textContent = `Best ${statistics.longestStreak || 0} · ❄️ ${statistics.streakFreezes || 0} freezes`;
     if (completedSessions) completedSessions.textContent = statistics.completedSessions || 0;
     if (totalMinutes) totalMinutes.textContent = currentUser?.statistics?.totalStudyMinutes || 0;
 }
@@ -318,11 +562,54 @@ function renderSubjectProgress(subjects) {
                     <div class="h-full rounded-full transition-all progress-bar" style="width: ${subject.progress || 0}%; background-color: ${subject.color}"></div>
                 </div>
             </div>
-            <div class="text-gray-400 text-sm">${subject.weeklyHours} hours/week</div>
+            <div class="flex items-center justify-between text-gray-400 text-sm">
+                <span>${subject.weeklyHours} hours/week</span>
+                ${renderExamCountdown(subject)}
+            </div>
         </div>
     `).join('');
 }
 
+/**
+ * Get the subject's next upcoming exam with the number of days left
+ */
+function getNextExam(subject) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    
+    const upcoming = (subject.exams || [])
+        .map(exam => {
+            const examDay = new Date(exam.date);
+            examDay.setHours(0, 0, 0, 0);
+            return { ...exam, daysLeft: Math.round((examDay - today) / (1000 * 60 * 60 * 24)) };
+        })
+        .filter(exam => exam.daysLeft >= 0)
+        .sort((a, b) => a.daysLeft - b.daysLeft);
+    
+    return upcoming[0] || null;
+}
+
+/**
+ * Render a countdown badge for the subject's next exam
+ */
+function renderExamCountdown(subject) {
+    const exam = getNextExam(subject);
+    if (!exam) return '';
+    
+    let label;
+    if (exam.daysLeft === 0) {
+        label = `${exam.title} today`;
+    } else if (exam.daysLeft === 1) {
+        label = `${exam.title} tomorrow`;
+    } else {
+        label = `${exam.title} in ${exam.daysLeft} days`;
+    }
+    
+    const urgency = exam.daysLeft <= 7 ? 'text-red-400' : exam.daysLeft <= 21 ? 'text-amber-400' : 'text-cyan-400';
+    
+    return `<span class="exam-countdown ${urgency}">📅 ${label}</span>`;
+}
+
 /**
  * Render today's schedule
  */
@@ -330,10 +617,8 @@ function renderTodaySchedule(timetable) {
     const container = document.getElementById('todaySchedule');
     if (!container) return;
     
-    const today = new Date().getDay();
-    const dayIndex = today === 0 ? 6 : today - 1; // Convert Sunday=0 to 6
-    
-    const todayTimetable = timetable.find(t => t.dayOfWeek === dayIndex);
+    const todayKey = getDateKey(getUserToday());
+    const todayTimetable = timetable.find(t => t.date && t.date.slice(0, 10) === todayKey);
     
     if (!todayTimetable || !todayTimetable.sessions || todayTimetable.sessions.length === 0) {
         container.innerHTML = `
@@ -345,27 +630,345 @@ function renderTodaySchedule(timetable) {
         return;
     }
     
-    const studySessions = todayTimetable.sessions.filter(s => s.type === 'study');
+    const studySessions = todayTimetable.sessions.filter(s => s.type !== 'break');
     
     container.innerHTML = studySessions.slice(0, 5).map(session => `
         <div class="flex items-center justify-between p-3 rounded-lg ${session.completed ? 'bg-green-500/10' : 'bg-white/5'}">
             <div class="flex items-center space-x-3">
                 <div class="w-3 h-3 rounded-full" style="background-color: ${session.color}"></div>
                 <span class="text-white ${session.completed ? 'line-through opacity-60' : ''}">${session.subject}</span>
+                ${session.topic ? `<span class="text-gray-400 text-sm">${session.topic}</span>` : ''}
             </div>
             <div class="flex items-center space-x-3">
                 <span class="text-gray-400 text-sm">${session.startTime}</span>
-                ${session.completed ? '<span class="text-green-400">✓</span>' : ''}
+                ${session.completed
+                    ? '<span class="text-green-400">✓</span>'
+                    : session.type === 'review'
+                        ? '<a href="timetable.html" class="text-purple-400 hover:text-purple-300 text-sm" title="Rate your recall in the timetable">🔁 Review</a>'
+                        : `<button onclick="startFocus('${session._id}')" class="text-cyan-400 hover:text-cyan-300 text-sm" title="Start focus timer">▶ Focus</button>`}
             </div>
         </div>
     `).join('');
     
-    if (studySessions.length > 5) {
-        container.innerHTML += `
-            <a href="timetable.html" class="block text-center text-cyan-400 hover:text-cyan-300 pt-2">
-                View all ${studySessions.length} sessions →
-            </a>
-        `;
+    if (studySessions.length > 5) {
+        container.innerHTML += `
+            <a href="timetable.html" class="block text-center text-cyan-400 hover:text-cyan-300 pt-2">
+                View all ${studySessions.length} sessions →
+            </a>
+        `;
+    }
+}
+
+// ==================== FOCUS TIMER ====================
+
+// Minutes past the plan the server credits without confirmation
+const FOCUS_OVERTIME_MINUTES = 30;
+
+/**
+ * Format seconds as mm:ss (or h:mm:ss)
+ */
+function formatCountdown(totalSeconds) {
+    const seconds = Math.abs(Math.round(totalSeconds));
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = String(seconds % 60).padStart(2, '0');
+    
+    return hours > 0
+        ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+        : `${String(minutes).padStart(2, '0')}:${secs}`;
+}
+
+/**
+ * Restore a running or paused timer from the server (e.g. after a reload)
+ */
+async function loadActiveFocus() {
+    const response = await fetchAPI('/api/focus/active');
+    
+    if (response.success) {
+        setFocusState(response.data);
+    }
+}
+
+/**
+ * Store the server's timer state and start or stop the local tick
+ */
+function setFocusState(state) {
+    focusState = state;
+    focusSyncedAt = Date.now();
+    
+    clearInterval(focusInterval);
+    focusInterval = null;
+    
+    if (focusState && focusState.status === 'running') {
+        focusInterval = setInterval(renderFocusTimer, 1000);
+    }
+    
+    renderFocusTimer();
+}
+
+/**
+ * Render the live countdown card
+ */
+function renderFocusTimer() {
+    const card = document.getElementById('focusTimerCard');
+    if (!card) return;
+    
+    if (!focusState) {
+        card.classList.add('hidden');
+        return;
+    }
+    
+    card.classList.remove('hidden');
+    
+    const running = focusState.status === 'running';
+    const sinceSync = running ? (Date.now() - focusSyncedAt) / 1000 : 0;
+    const remaining = focusState.remainingSeconds - sinceSync;
+    const subject = subjects.find(s => s._id === focusState.subjectId);
+    
+    const countdown = document.getElementById('focusCountdown');
+    countdown.textContent = remaining >= 0 ? formatCountdown(remaining) : `+${formatCountdown(remaining)}`;
+    countdown.classList.toggle('overtime', remaining < 0);
+    
+    document.getElementById('focusStatus').textContent = running ? 'Focusing on' : 'Paused';
+    document.getElementById('focusSubject').textContent = focusState.subjectName;
+    document.getElementById('focusSubjectColor').style.backgroundColor = subject?.color || '#3B82F6';
+    document.getElementById('focusMeta').textContent =
+        `${focusState.plannedMinutes} min planned · ${focusState.pauses.length} pauses · ${focusState.interruptions} interruptions`;
+    
+    document.getElementById('focusPauseBtn').classList.toggle('hidden', !running);
+    document.getElementById('focusInterruptBtn').classList.toggle('hidden', !running);
+    document.getElementById('focusResumeBtn').classList.toggle('hidden', running);
+    
+    // Let the user know once when the planned time is up
+    if (running && remaining <= 0 && remaining > -1) {
+        showToast(`Time's up for ${focusState.subjectName}! Stop the timer when you're done.`, 'success');
+    }
+}
+
+/**
+ * Start a focus timer for a timetable session
+ */
+async function startFocus(sessionId) {
+    const response = await fetchAPI('/api/focus/start', {
+        method: 'POST',
+        body: JSON.stringify({ sessionId })
+    });
+    
+    if (response.success) {
+        setFocusState(response.data);
+        showToast('Focus timer started. Good luck! 🎯', 'success');
+    } else {
+        if (response.data) setFocusState(response.data);
+        showToast(response.message || 'Failed to start focus timer', 'error');
+    }
+}
+
+/**
+ * Pause the running timer, as a break or an interruption
+ */
+async function pauseFocus(reason) {
+    if (!focusState) return;
+    
+    const response = await fetchAPI(`/api/focus/${focusState.id}/pause`, {
+        method: 'POST',
+        body: JSON.stringify({ reason })
+    });
+    
+    if (response.success) {
+        setFocusState(response.data);
+    } else {
+        showToast(response.message || 'Failed to pause timer', 'error');
+    }
+}
+
+/**
+ * Resume the paused timer
+ */
+async function resumeFocus() {
+    if (!focusState) return;
+    
+    const response = await fetchAPI(`/api/focus/${focusState.id}/resume`, { method: 'POST' });
+    
+    if (response.success) {
+        setFocusState(response.data);
+    } else {
+        showToast(response.message || 'Failed to resume timer', 'error');
+    }
+}
+
+/**
+ * Stop the timer and record the real time spent
+ */
+async function stopFocus() {
+    if (!focusState) return;
+    
+    const sinceSync = focusState.status === 'running' ? (Date.now() - focusSyncedAt) / 1000 : 0;
+    const finished = focusState.remainingSeconds - sinceSync <= 0;
+    const completed = finished || confirm('Mark this session as completed?\n\nCancel records the time studied without completing the session.');
+    
+    // Time far past the plan (a forgotten timer?) is only credited when confirmed
+    const overtimeMinutes = Math.floor((sinceSync - focusState.remainingSeconds) / 60);
+    const keepOvertime = overtimeMinutes > FOCUS_OVERTIME_MINUTES &&
+        confirm(`This timer ran ${overtimeMinutes} minutes past the plan.\n\nOK credits all of it; Cancel credits up to ${FOCUS_OVERTIME_MINUTES} extra minutes.`);
+    
+    const response = await fetchAPI(`/api/focus/${focusState.id}/stop`, {
+        method: 'POST',
+        body: JSON.stringify({ completed, keepOvertime })
+    });
+    
+    if (response.success) {
+        setFocusState(null);
+        showToast(response.message, 'success');
+        loadDashboard();
+    } else {
+        showToast(response.message || 'Failed to stop timer', 'error');
+    }
+}
+
+// ==================== GOALS ====================
+
+const GOAL_STATUS_STYLES = {
+    'on-track': { label: 'On track', className: 'bg-cyan-500/20 text-cyan-400' },
+    'behind': { label: 'Behind', className: 'bg-orange-500/20 text-orange-400' },
+    'achieved': { label: 'Achieved', className: 'bg-green-500/20 text-green-400' },
+    'missed': { label: 'Missed', className: 'bg-red-500/20 text-red-400' }
+};
+
+/**
+ * Load the active goals and their progress
+ */
+async function loadGoals() {
+    try {
+        const response = await fetchAPI('/api/goals');
+        if (response.success) renderGoals(response.data);
+    } catch (error) {
+        console.error('Error loading goals:', error);
+    }
+}
+
+/**
+ * Describe how far a goal has come
+ */
+function describeGoalProgress(goal) {
+    const progress = goal.progress;
+    
+    if (goal.type === 'total') {
+        const needed = progress.minutesPerDayNeeded ? ` · ${progress.minutesPerDayNeeded} min/day to finish` : '';
+        return `${Math.round(progress.studiedMinutes / 60 * 10) / 10} of ${Math.round(goal.targetMinutes / 60 * 10) / 10}h · ${progress.daysLeft} days left${progress.status === 'achieved' ? '' : needed}`;
+    }
+    
+    return `${progress.currentWeek.daysMet} of ${progress.currentWeek.target} days this week at ${goal.minutesPerDay} min · ${progress.weeksMet}/${progress.weeksFinished} weeks met`;
+}
+
+/**
+ * Render the goal cards and the subject choices of the goal form
+ */
+function renderGoals(goals) {
+    const container = document.getElementById('goalsList');
+    if (!container) return;
+    
+    const subjectSelect = document.getElementById('goalSubject');
+    if (subjectSelect) {
+        subjectSelect.innerHTML = '<option value="" class="bg-slate-800">All subjects</option>' +
+            (subjects || []).map(subject => `<option value="${subject._id}" class="bg-slate-800">${subject.name}</option>`).join('');
+    }
+    
+    if (!goals || goals.length === 0) {
+        container.innerHTML = '<p class="text-gray-400 col-span-full">No goals yet. Set one below to track your progress.</p>';
+        return;
+    }
+    
+    container.innerHTML = goals.map(goal => {
+        const status = GOAL_STATUS_STYLES[goal.progress.status];
+        const subject = (subjects || []).find(s => s._id === goal.subjectId);
+        
+        return `
+            <div class="glass-card p-4">
+                <div class="flex items-center justify-between mb-3">
+                    <div>
+                        <span class="text-white font-medium">${goal.title}</span>
+                        <span class="text-gray-500 text-sm ml-2">${subject ? subject.name : 'All subjects'}</span>
+                    </div>
+                    <div class="flex items-center space-x-2">
+                        <span class="px-2 py-1 rounded-full text-xs font-medium ${status.className}">${status.label}</span>
+                        <button onclick="deleteGoal('${goal._id}')" class="text-gray-400 hover:text-red-400" title="Delete goal">✕</button>
+                    </div>
+                </div>
+                <div class="h-2 bg-white/10 rounded-full overflow-hidden mb-2">
+                    <div class="h-full rounded-full transition-all progress-bar bg-gradient-to-r from-cyan-500 to-blue-600" style="width: ${goal.progress.percent}%"></div>
+                </div>
+                <div class="text-gray-400 text-sm">${describeGoalProgress(goal)}</div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Show the goal form fields for the chosen goal type
+ */
+function updateGoalForm() {
+    const weekly = document.getElementById('goalType').value === 'weekly';
+    document.getElementById('goalTotalFields').classList.toggle('hidden', weekly);
+    document.getElementById('goalWeeklyFields').classList.toggle('hidden', !weekly);
+}
+
+/**
+ * Create a goal from the goal form
+ */
+async function createGoal(event) {
+    event.preventDefault();
+    
+    const type = document.getElementById('goalType').value;
+    const goal = {
+        title: document.getElementById('goalTitle').value,
+        type,
+        subjectId: document.getElementById('goalSubject').value || null
+    };
+    
+    if (type === 'total') {
+        goal.targetMinutes = Math.round(parseFloat(document.getElementById('goalHours').value) * 60);
+        goal.endDate = document.getElementById('goalEndDate').value;
+    } else {
+        goal.daysPerWeek = parseInt(document.getElementById('goalDaysPerWeek').value);
+        goal.minutesPerDay = parseInt(document.getElementById('goalMinutesPerDay').value);
+    }
+    
+    try {
+        const response = await fetchAPI('/api/goals', {
+            method: 'POST',
+            body: JSON.stringify(goal)
+        });
+        
+        if (response.success) {
+            event.target.reset();
+            updateGoalForm();
+            showToast(response.message, 'success');
+            loadGoals();
+        } else {
+            showToast(response.message || 'Failed to create goal', 'error');
+        }
+    } catch (error) {
+        showToast('An error occurred. Please try again.', 'error');
+    }
+}
+
+/**
+ * Delete a goal
+ */
+async function deleteGoal(goalId) {
+    if (!confirm('Delete this goal?')) return;
+    
+    try {
+        const response = await fetchAPI(`/api/goals/${goalId}`, { method: 'DELETE' });
+        
+        if (response.success) {
+            showToast(response.message, 'success');
+            loadGoals();
+        } else {
+            showToast(response.message || 'Failed to delete goal', 'error');
+        }
+    } catch (error) {
+        showToast('An error occurred. Please try again.', 'error');
     }
 }
 
@@ -444,6 +1047,9 @@ function renderSubjectsList(subjects) {
             <div class="flex items-center space-x-3 mb-4">
                 <span class="px-3 py-1 rounded-full text-xs font-medium badge-${subject.difficulty}">${subject.difficulty}</span>
                 <span class="text-gray-400 text-sm">${subject.completedSessions || 0}/${subject.totalSessions || 0} sessions</span>
+                <span class="text-gray-400 text-sm">${((subject.studiedMinutes || 0) / 60).toFixed(1)}h studied</span>
+                ${renderTopicCount(subject)}
+                ${renderExamCountdown(subject)}
             </div>
             
             <div>
@@ -482,6 +1088,8 @@ function showAddSubjectModal() {
         document.querySelectorAll('.color-option').forEach((btn, idx) => {
             btn.classList.toggle('selected', idx === 0);
         });
+        
+        renderExamRows('addExamList', []);
     }
 }
 
@@ -535,12 +1143,13 @@ async function handleAddSubject(event) {
     const weeklyHours = parseInt(document.getElementById('weeklyHours').value);
     const difficulty = document.getElementById('subjectDifficulty').value;
     const color = document.getElementById('subjectColor').value;
+    const exams = readExamRows('addExamList');
     const errorDiv = document.getElementById('addSubjectError');
     
     try {
         const response = await fetchAPI('/api/subjects', {
             method: 'POST',
-            body: JSON.stringify({ name, weeklyHours, difficulty, color })
+            body: JSON.stringify({ name, weeklyHours, difficulty, color, exams })
         });
         
         if (response.success) {
@@ -591,6 +1200,9 @@ async function showEditSubjectModal(subjectId) {
                 btn.classList.add('selected');
             }
         });
+        
+        renderExamRows('editExamList', subject.exams || []);
+        renderTopicList(subject);
     }
 }
 
@@ -645,12 +1257,13 @@ async function handleEditSubject(event) {
     const weeklyHours = parseInt(document.getElementById('editWeeklyHours').value);
     const difficulty = document.getElementById('editSubjectDifficulty').value;
     const color = document.getElementById('editSubjectColor').value;
+    const exams = readExamRows('editExamList');
     const errorDiv = document.getElementById('editSubjectError');
     
     try {
         const response = await fetchAPI(`/api/subjects/${subjectId}`, {
             method: 'PUT',
-            body: JSON.stringify({ name, weeklyHours, difficulty, color })
+            body: JSON.stringify({ name, weeklyHours, difficulty, color, exams })
         });
         
         if (response.success) {
@@ -668,6 +1281,165 @@ async function handleEditSubject(event) {
     }
 }
 
+/**
+ * Render exam date rows in a subject modal
+ */
+function renderExamRows(containerId, exams) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    container.innerHTML = '';
+    exams.forEach(exam => addExamRow(containerId, exam));
+}
+
+/**
+ * Append an exam row (title + date) to a subject modal
+ */
+function addExamRow(containerId, exam = {}) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    const date = exam.date ? new Date(exam.date).toISOString().slice(0, 10) : '';
+    
+    const row = document.createElement('div');
+    row.className = 'exam-row flex items-center gap-2';
+    row.innerHTML = `
+        <input type="text" class="exam-title flex-1 px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-cyan-500" placeholder="e.g., Midterm" value="${exam.title || ''}">
+        <input type="date" class="exam-date px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white focus:outline-none focus:border-cyan-500" value="${date}">
+        <button type="button" onclick="this.parentElement.remove()" class="text-gray-400 hover:text-red-400 px-2">✕</button>
+    `;
+    if (exam._id) row.dataset.examId = exam._id;
+    
+    container.appendChild(row);
+}
+
+/**
+ * Read exam rows from a subject modal, skipping rows without a date
+ */
+function readExamRows(containerId) {
+    return [...document.querySelectorAll(`#${containerId} .exam-row`)]
+        .map(row => ({
+            ...(row.dataset.examId && { _id: row.dataset.examId }),
+            title: row.querySelector('.exam-title').value.trim() || 'Exam',
+            date: row.querySelector('.exam-date').value
+        }))
+        .filter(exam => exam.date);
+}
+
+// ==================== TOPICS ====================
+
+/**
+ * Render a "completed/total topics" label for a subject card
+ */
+function renderTopicCount(subject) {
+    const topics = subject.topics || [];
+    if (topics.length === 0) return '';
+    
+    const done = topics.filter(topic => topic.status === 'completed').length;
+    return `<span class="text-gray-400 text-sm">${done}/${topics.length} topics</span>`;
+}
+
+/**
+ * Render the topic list in the edit subject modal
+ */
+function renderTopicList(subject) {
+    const container = document.getElementById('editTopicList');
+    if (!container) return;
+    
+    const topics = subject.topics || [];
+    
+    if (topics.length === 0) {
+        container.innerHTML = '<p class="text-gray-500 text-sm">No topics yet. Add chapters to track syllabus coverage.</p>';
+        return;
+    }
+    
+    container.innerHTML = topics.map((topic, index) => `
+        <div class="flex items-center gap-2">
+            <span class="text-gray-500 text-sm w-5">${index + 1}.</span>
+            <span class="flex-1 text-white text-sm ${topic.status === 'completed' ? 'line-through opacity-60' : ''}">${topic.title}</span>
+            <span class="text-gray-400 text-xs">${topic.estimatedMinutes} min</span>
+            <select onchange="updateTopicStatus('${subject._id}', '${topic._id}', this.value)" class="px-2 py-1 bg-white/10 border border-white/20 rounded-lg text-white text-xs focus:outline-none focus:border-cyan-500">
+                <option value="not-started" ${topic.status === 'not-started' ? 'selected' : ''}>Not started</option>
+                <option value="in-progress" ${topic.status === 'in-progress' ? 'selected' : ''}>In progress</option>
+                <option value="completed" ${topic.status === 'completed' ? 'selected' : ''}>Completed</option>
+            </select>
+            <button type="button" onclick="deleteTopic('${subject._id}', '${topic._id}')" class="text-gray-400 hover:text-red-400 px-2" title="Remove topic">✕</button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Replace a subject's topics and progress locally and re-render
+ */
+function refreshSubjectTopics(subjectId, topics, progress) {
+    const subject = subjects.find(s => s._id === subjectId);
+    if (!subject) return;
+    
+    subject.topics = topics;
+    subject.progress = progress;
+    renderTopicList(subject);
+    renderSubjectsList(subjects);
+    renderSubjectProgress(subjects);
+}
+
+/**
+ * Add a topic from the edit subject modal
+ */
+async function addTopic() {
+    const subjectId = document.getElementById('editSubjectId').value;
+    const titleInput = document.getElementById('newTopicTitle');
+    const minutesInput = document.getElementById('newTopicMinutes');
+    const title = titleInput.value.trim();
+    
+    if (!title) return;
+    
+    const response = await fetchAPI(`/api/subjects/${subjectId}/topics`, {
+        method: 'POST',
+        body: JSON.stringify({ title, estimatedMinutes: parseInt(minutesInput.value) || 60 })
+    });
+    
+    if (response.success) {
+        const subject = subjects.find(s => s._id === subjectId);
+        refreshSubjectTopics(subjectId, [...(subject?.topics || []), response.data], response.progress);
+        titleInput.value = '';
+    } else {
+        showToast(response.message || 'Failed to add topic', 'error');
+    }
+}
+
+/**
+ * Change a topic's status
+ */
+async function updateTopicStatus(subjectId, topicId, status) {
+    const response = await fetchAPI(`/api/subjects/${subjectId}/topics/${topicId}`, {
+        method: 'PUT',
+        body: JSON.stringify({ status })
+    });
+    
+    if (response.success) {
+        const subject = subjects.find(s => s._id === subjectId);
+        const topics = (subject?.topics || []).map(topic => topic._id === topicId ? response.data : topic);
+        refreshSubjectTopics(subjectId, topics, response.progress);
+    } else {
+        showToast(response.message || 'Failed to update topic', 'error');
+    }
+}
+
+/**
+ * Remove a topic
+ */
+async function deleteTopic(subjectId, topicId) {
+    const response = await fetchAPI(`/api/subjects/${subjectId}/topics/${topicId}`, { method: 'DELETE' });
+    
+    if (response.success) {
+        const subject = subjects.find(s => s._id === subjectId);
+        const topics = (subject?.topics || []).filter(topic => topic._id !== topicId);
+        refreshSubjectTopics(subjectId, topics, response.progress);
+    } else {
+        showToast(response.message || 'Failed to delete topic', 'error');
+    }
+}
+
 /**
  * Delete subject
  */
@@ -726,6 +1498,66 @@ function loadPreferences(preferences) {
     
     selectSessionDuration(preferences.sessionDuration || 25);
     selectBreakDuration(preferences.breakDuration || 5);
+    renderAvailabilityInputs(preferences.availability || []);
+    renderTimezoneOptions(preferences.timezone || 'UTC');
+}
+
+/**
+ * Fill the timezone picker, with the device's timezone marked
+ */
+function renderTimezoneOptions(selected) {
+    const select = document.getElementById('timezone');
+    if (!select) return;
+    
+    const deviceZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    const options = [...new Set(['UTC', deviceZone, selected, ...zones])];
+    
+    select.innerHTML = options.map(zone => `
+        <option value="${zone}" class="bg-gray-900" ${zone === selected ? 'selected' : ''}>${zone}${zone === deviceZone ? ' (this device)' : ''}</option>
+    `).join('');
+}
+
+/**
+ * Render one availability row per weekday
+ */
+function renderAvailabilityInputs(availability) {
+    const container = document.getElementById('availabilityInputs');
+    if (!container) return;
+    
+    const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+    
+    container.innerHTML = days.map((day, index) => {
+        const windows = availability
+            .filter(w => w.dayOfWeek === index)
+            .map(w => `${w.start}-${w.end}`)
+            .join(', ');
+        
+        return `
+            <div class="flex items-center gap-3">
+                <span class="w-24 text-gray-300 text-sm">${day}</span>
+                <input type="text" class="availability-input flex-1 px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-cyan-500" data-day="${index}" value="${windows}" placeholder="Not available">
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Read availability windows from the preferences form
+ */
+function readAvailabilityInputs() {
+    const availability = [];
+    
+    document.querySelectorAll('.availability-input').forEach(input => {
+        const dayOfWeek = parseInt(input.dataset.day);
+        
+        input.value.split(',').map(part => part.trim()).filter(Boolean).forEach(range => {
+            const [start, end] = range.split('-').map(time => time.trim());
+            availability.push({ dayOfWeek, start, end });
+        });
+    });
+    
+    return availability;
 }
 
 /**
@@ -783,12 +1615,14 @@ async function savePreferences(event) {
     const dailyHours = parseInt(document.getElementById('dailyHours').value);
     const sessionDuration = parseInt(document.getElementById('sessionDuration').value);
     const breakDuration = parseInt(document.getElementById('breakDuration').value);
+    const availability = readAvailabilityInputs();
+    const timezone = document.getElementById('timezone')?.value;
     
     try {
         const response = await fetchAPI('/api/users/profile', {
             method: 'PUT',
             body: JSON.stringify({
-                preferences: { dailyHours, sessionDuration, breakDuration }
+                preferences: { dailyHours, sessionDuration, breakDuration, availability, timezone }
             })
         });
         
@@ -804,6 +1638,72 @@ async function savePreferences(event) {
     }
 }
 
+// ==================== ACCOUNT ====================
+
+/**
+ * Change the password from the account form
+ */
+async function changePassword(event) {
+    event.preventDefault();
+    
+    try {
+        const response = await fetchAPI('/api/auth/password', {
+            method: 'PUT',
+            body: JSON.stringify({
+                currentPassword: document.getElementById('currentPassword').value,
+                newPassword: document.getElementById('newPassword').value
+            })
+        });
+        
+        if (response.success) {
+            event.target.reset();
+            showToast(response.message, 'success');
+        } else {
+            showToast(response.message || 'Failed to change password', 'error');
+        }
+    } catch (error) {
+        showToast('An error occurred. Please try again.', 'error');
+    }
+}
+
+/**
+ * Delete the account after confirming the password, downloading the final
+ * data archive first
+ */
+async function deleteAccount() {
+    if (!confirm('Delete your account and all your study data? This cannot be undone.')) return;
+    
+    const password = prompt('Enter your password to confirm:');
+    if (!password) return;
+    
+    try {
+        const response = await fetchAPI('/api/users/me', {
+            method: 'DELETE',
+            body: JSON.stringify({ password })
+        });
+        
+        if (!response.success) {
+            showToast(response.message || 'Failed to delete account', 'error');
+            return;
+        }
+        
+        const blob = new Blob([JSON.stringify(response.data.archive, null, 2)], { type: 'application/json' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'studymate-archive.json';
+        document.body.appendChild(a);
+        a.click();
+        window.URL.revokeObjectURL(url);
+        a.remove();
+        
+        alert(response.message);
+        clearSession();
+    } catch (error) {
+        showToast('An error occurred. Please try again.', 'error');
+    }
+}
+
 // ==================== STATISTICS ====================
 
 /**
@@ -829,11 +1729,128 @@ async function loadStats() {
             renderWeeklyChart(response.data.weekly);
             renderSubjectDistribution(response.data.subjects);
         }
+        
+        await loadStreak();
+        await loadHeatmap();
     } catch (error) {
         console.error('Error loading stats:', error);
     }
 }
 
+/**
+ * Load daily study totals for the past year and draw the heatmap
+ */
+async function loadHeatmap() {
+    const today = getUserToday();
+    const start = new Date(today);
+    // Start on the Monday 52 weeks back so every column is a full week
+    start.setDate(start.getDate() - 52 * 7 - (today.getDay() === 0 ? 6 : today.getDay() - 1));
+    
+    const response = await fetchAPI(`/api/analytics/totals?from=${getDateKey(start)}&to=${getDateKey(today)}&groupBy=day`);
+    if (response.success) renderHeatmap(response.data, start, today);
+}
+
+/**
+ * Render a GitHub-style heatmap: one column per week, one cell per day,
+ * shaded by minutes studied relative to the busiest day
+ */
+function renderHeatmap(days, start, end) {
+    const container = document.getElementById('studyHeatmap');
+    if (!container) return;
+    
+    const minutesByDay = new Map(days.map(day => [day.period, day.minutes]));
+    const maxMinutes = Math.max(...days.map(day => day.minutes), 1);
+    const totalMinutes = days.reduce((acc, day) => acc + day.minutes, 0);
+    
+    const cells = [];
+    for (let date = new Date(start); date <= end; date.setDate(date.getDate() + 1)) {
+        const dateKey = getDateKey(date);
+        const minutes = minutesByDay.get(dateKey) || 0;
+        const level = minutes === 0 ? 0 : Math.min(4, Math.ceil((minutes / maxMinutes) * 4));
+        cells.push(`<span class="heatmap-cell heatmap-level-${level}" title="${dateKey}: ${minutes} min"></span>`);
+    }
+    
+    container.innerHTML = `<div class="heatmap-grid">${cells.join('')}</div>`;
+    
+    const total = document.getElementById('heatmapTotal');
+    if (total) total.textContent = `${(totalMinutes / 60).toFixed(1)} hours studied`;
+}
+
+/**
+ * Load the streak summary and planned rest days
+ */
+async function loadStreak() {
+    const response = await fetchAPI('/api/stats/streak');
+    if (response.success) renderStreak(response.data);
+}
+
+/**
+ * Render the streak summary and the upcoming planned rest days
+ */
+function renderStreak(streak) {
+    const summary = document.getElementById('streakSummary');
+    const restDays = document.getElementById('restDays');
+    if (!summary || !restDays) return;
+    
+    const minimum = streak.rules.minMinutes > 0 ? ` Days count from ${streak.rules.minMinutes} minutes of study.` : '';
+    summary.innerHTML = `
+        <span class="text-white font-bold">${streak.current}</span> day streak${streak.studiedToday ? '' : ' (study today to keep it going)'} ·
+        best <span class="text-white font-bold">${streak.longest}</span> ·
+        ❄️ ${streak.freezes} of ${streak.rules.maxFreezes} freezes (one earned every ${streak.rules.freezeEvery} streak days).${minimum}
+    `;
+    
+    const todayKey = getDateKey(getUserToday());
+    const upcoming = streak.rules.restDates.filter(date => date >= todayKey).sort();
+    restDays.innerHTML = upcoming.length === 0
+        ? '<span class="text-gray-500 text-sm">No rest days planned</span>'
+        : upcoming.map(date => `
+            <span class="px-3 py-1 rounded-full text-sm bg-white/10 text-gray-300">
+                ${date}
+                <button onclick="removeRestDay('${date}')" class="ml-1 text-gray-400 hover:text-red-400" title="Cancel rest day">✕</button>
+            </span>
+        `).join('');
+}
+
+/**
+ * Plan a rest day from the streak form
+ */
+async function addRestDay(event) {
+    event.preventDefault();
+    
+    try {
+        const response = await fetchAPI('/api/stats/streak/rest-days', {
+            method: 'POST',
+            body: JSON.stringify({ date: document.getElementById('restDayDate').value })
+        });
+        
+        if (response.success) {
+            renderStreak(response.data);
+            showToast(response.message, 'success');
+        } else {
+            showToast(response.message || 'Failed to plan rest day', 'error');
+        }
+    } catch (error) {
+        showToast('An error occurred. Please try again.', 'error');
+    }
+}
+
+/**
+ * Cancel a planned rest day
+ */
+async function removeRestDay(date) {
+    try {
+        const response = await fetchAPI(`/api/stats/streak/rest-days/${date}`, { method: 'DELETE' });
+        
+        if (response.success) {
+            renderStreak(response.data);
+        } else {
+            showToast(response.message || 'Failed to cancel rest day', 'error');
+        }
+    } catch (error) {
+        showToast('An error occurred. Please try again.', 'error');
+    }
+}
+
 /**
  * Render weekly chart
  */
@@ -889,18 +1906,30 @@ function renderSubjectDistribution(subjectsData) {
 // ==================== TIMETABLE ====================
 
 /**
- * Generate timetable
+ * Generate timetable (pass the seed of a previewed plan to commit that plan)
  */
-async function generateTimetable() {
+async function generateTimetable(seed) {
     try {
         showToast('Generating your personalized timetable...', 'info');
         
+        // A seed from a preview commits exactly the plan that was previewed
         const response = await fetchAPI('/api/timetable/generate', {
-            method: 'POST'
+            method: 'POST',
+            ...(seed && { body: JSON.stringify({ seed }) })
         });
         
         if (response.success) {
-            showToast('Timetable generated successfully! 🎉', 'success');
+            if (response.unscheduled && response.unscheduled.length > 0) {
+                // Sum unmet hours per subject across the planned weeks
+                const unmet = new Map();
+                response.unscheduled.forEach(entry => {
+                    unmet.set(entry.subject, (unmet.get(entry.subject) || 0) + entry.hours);
+                });
+                const missing = [...unmet].map(([subject, hours]) => `${subject} ${Math.round(hours * 10) / 10}h`).join(', ');
+                showToast(`Not enough free time. Unmet hours: ${missing}`, 'error');
+            } else {
+                showToast('Timetable generated successfully! 🎉', 'success');
+            }
             
             // Reload data
             if (typeof loadTimetable === 'function') {
@@ -925,21 +1954,30 @@ async function generateTimetable() {
  */
 async function exportData(format) {
     try {
-        const endpoint = format === 'json' ? '/api/users/export/json' : '/api/users/export/csv';
+        const files = {
+            json: 'studymate-export.json',
+            csv: 'studymate-timetable.csv',
+            ics: 'studymate-timetable.ics'
+        };
+        const endpoint = `/api/users/export/${format}`;
         
-        const token = localStorage.getItem('token');
-        const response = await fetch(endpoint, {
+        const download = () => fetch(endpoint, {
             headers: {
-                'Authorization': `Bearer ${token}`
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
             }
         });
         
+        let response = await download();
+        if (response.status === 401 && await refreshTokens()) {
+            response = await download();
+        }
+        
         if (response.ok) {
             const blob = await response.blob();
             const url = window.URL.createObjectURL(blob);
             const a = document.createElement('a');
             a.href = url;
-            a.download = format === 'json' ? 'studymate-export.json' : 'studymate-timetable.csv';
+            a.download = files[format];
             document.body.appendChild(a);
             a.click();
             window.URL.revokeObjectURL(url);
@@ -955,6 +1993,111 @@ async function exportData(format) {
     }
 }
 
+/**
+ * Describe an import report in a few lines for a confirm dialog
+ */
+function describeImportReport(report) {
+    return Object.entries(report).map(([collection, result]) => {
+        let line = `${collection}: ${result.toCreate} to import`;
+        if (result.conflicts.length > 0) line += `, ${result.conflicts.length} skipped (already exist)`;
+        if (result.errors.length > 0) line += `, ${result.errors.length} invalid`;
+        return line;
+    }).join('\n');
+}
+
+/**
+ * Import a JSON export or subjects CSV, previewing the result first
+ */
+async function importData(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    const mode = document.getElementById('importMode')?.value || 'merge';
+    
+    try {
+        const text = await file.text();
+        let payload;
+        
+        if (file.name.toLowerCase().endsWith('.csv')) {
+            payload = { mode, csv: text };
+        } else {
+            try {
+                payload = { mode, data: JSON.parse(text) };
+            } catch (e) {
+                showToast('That file is not valid JSON', 'error');
+                return;
+            }
+        }
+        
+        const preview = await fetchAPI('/api/users/import', {
+            method: 'POST',
+            body: JSON.stringify({ ...payload, dryRun: true })
+        });
+        
+        if (!preview.success) {
+            showToast(preview.message || 'Failed to read import file', 'error');
+            return;
+        }
+        
+        const summary = describeImportReport(preview.data.report);
+        const hasErrors = Object.values(preview.data.report).some(r => r.errors.length > 0);
+        
+        if (hasErrors) {
+            alert(`This file contains invalid entries and can't be imported:\n\n${summary}`);
+            return;
+        }
+        
+        const warning = mode === 'replace' ? '\n\nYour current subjects, timetable and stats will be deleted first.' : '';
+        if (!confirm(`Import preview:\n\n${summary}${warning}\n\nContinue?`)) {
+            return;
+        }
+        
+        const response = await fetchAPI('/api/users/import', {
+            method: 'POST',
+            body: JSON.stringify(payload)
+        });
+        
+        if (response.success) {
+            showToast('Data imported successfully!', 'success');
+            loadDashboard();
+        } else {
+            showToast(response.message || 'Import failed', 'error');
+        }
+    } catch (error) {
+        console.error('Error importing data:', error);
+        showToast('Error importing data', 'error');
+    }
+}
+
+/**
+ * Enable the calendar feed and show its subscription URL
+ */
+async function subscribeCalendarFeed() {
+    try {
+        const current = await fetchAPI('/api/users/calendar-feed');
+        let url = current.success ? current.data.url : null;
+        
+        if (!url) {
+            const response = await fetchAPI('/api/users/calendar-feed', { method: 'POST' });
+            
+            if (!response.success) {
+                showToast(response.message || 'Failed to create calendar feed', 'error');
+                return;
+            }
+            url = response.data.url;
+        }
+        
+        if (navigator.clipboard) {
+            await navigator.clipboard.writeText(url).catch(() => {});
+        }
+        prompt('Add this URL to Google Calendar, Thunderbird or any calendar app that supports subscriptions:', url);
+    } catch (error) {
+        console.error('Error creating calendar feed:', error);
+        showToast('Error creating calendar feed', 'error');
+    }
+}
+
 // ==================== MOBILE NAVIGATION ====================
 
 /**
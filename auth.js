@@ -1,5 +1,18 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
+const { verifyAccessToken } = require('../utils/tokens');
+
+// Whether the token's session is still signed in. Tokens issued before
+// sessions existed carry no sessionId and are no longer accepted.
+const isSessionActive = async (decoded) => {
+    if (!decoded.sessionId) return false;
+
+    return Boolean(await AuthSession.exists({
+        _id: decoded.sessionId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    }));
+};
 
 const auth = async (req, res, next) => {
     try {
@@ -32,7 +45,14 @@ const auth = async (req, res, next) => {
         }
 
         // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
+        const decoded = verifyAccessToken(token);
+
+        if (!(await isSessionActive(decoded))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session ended, please login again'
+            });
+        }
 
         // Find user by id
         const user = await User.findById(decoded.userId).select('-password');
@@ -47,6 +67,7 @@ const auth = async (req, res, next) => {
         // Add user to request object
         req.user = user;
         req.userId = decoded.userId;
+        req.sessionId = decoded.sessionId;
         
         next();
     } catch (error) {
@@ -87,12 +108,13 @@ const optionalAuth = async (req, res, next) => {
             return next();
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
-        const user = await User.findById(decoded.userId).select('-password');
+        const decoded = verifyAccessToken(token);
+        const user = await isSessionActive(decoded) && await User.findById(decoded.userId).select('-password');
 
         if (user) {
             req.user = user;
             req.userId = decoded.userId;
+            req.sessionId = decoded.sessionId;
         }
         
         next();
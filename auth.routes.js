@@ -1,17 +1,40 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
 const User = require('../models/User');
 const { auth } = require('../middleware/auth');
+const { isValidTimezone } = require('../utils/dateUtils');
+const { startSession, refreshSession, getActiveSessions, revokeSessions } = require('../utils/tokens');
+const { consumeUserToken, spendUserTokens, sendVerificationEmail, sendPasswordResetEmail } = require('../utils/accountEmails');
+const {
+    beginLogin,
+    loginSucceeded,
+    confirmPassword,
+    clearLoginFailures,
+    checkRegistration,
+    checkEmailRequest,
+    auditLoginAttempt
+} = require('../utils/loginThrottle');
+const LoginAttempt = require('../models/LoginAttempt');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (userId) => {
-    return jwt.sign(
-        { userId },
-        process.env.JWT_SECRET || 'fallback-secret-key',
-        { expiresIn: '7d' }
-    );
+// Refuse an attempt that has to wait, telling the client how long
+const sendTooManyAttempts = (res, retryAfter, message) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        message,
+        retryAfter
+    });
+};
+
+// Checked against when no account has the email, so the answer takes as long as for one that does
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+// Describe a wait in seconds for messages
+const describeWait = (seconds) => {
+    return seconds < 60 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`;
 };
 
 // @route   POST /api/auth/register
@@ -19,7 +42,7 @@ const generateToken = (userId) => {
 // @access  Public
 router.post('/register', async (req, res) => {
     try {
-        const { name, email, password } = req.body;
+        const { name, email, password, timezone } = req.body;
 
         // Validation
         if (!name || !email || !password) {
@@ -36,6 +59,13 @@ router.post('/register', async (req, res) => {
             });
         }
 
+        const registrationWait = await checkRegistration(req.ip);
+
+        if (registrationWait > 0) {
+            return sendTooManyAttempts(res, registrationWait,
+                `Too many sign-ups from this network. Please try again in ${describeWait(registrationWait)}.`);
+        }
+
         // Check if user exists
         const existingUser = await User.findOne({ email: email.toLowerCase() });
         
@@ -46,17 +76,23 @@ router.post('/register', async (req, res) => {
             });
         }
 
-        // Create user
+        // Create user (an unknown timezone falls back to UTC; it can be changed in preferences)
         const user = new User({
             name,
             email: email.toLowerCase(),
-            password
+            password,
+            ...(isValidTimezone(timezone) && { preferences: { timezone } })
         });
 
         await user.save();
 
-        // Generate token
-        const token = generateToken(user._id);
+        // A mail failure shouldn't fail the sign-up; the email can be resent
+        sendVerificationEmail(user).catch(error => {
+            console.error('Verification email error:', error);
+        });
+
+        // Sign in this device
+        const tokens = await startSession(user._id, req);
 
         res.status(201).json({
             success: true,
@@ -66,10 +102,11 @@ router.post('/register', async (req, res) => {
                     id: user._id,
                     name: user.name,
                     email: user.email,
+                    emailVerified: user.emailVerified,
                     preferences: user.preferences,
                     statistics: user.statistics
                 },
-                token
+                ...tokens
             }
         });
     } catch (error) {
@@ -98,35 +135,55 @@ router.post('/login', async (req, res) => {
         const { email, password } = req.body;
 
         // Validation
-        if (!email || !password) {
+        if (!email || !password || typeof email !== 'string' || typeof password !== 'string') {
             return res.status(400).json({
                 success: false,
                 message: 'Please provide email and password'
             });
         }
 
+        // Count the attempt up front, slowing down repeated failures for this account or address
+        const throttle = await beginLogin(email, req.ip);
+
+        if (!throttle.allowed) {
+            await auditLoginAttempt(req, { email, success: false, reason: throttle.locked ? 'locked' : 'throttled' });
+            return sendTooManyAttempts(res, throttle.retryAfter, throttle.locked
+                ? `Too many failed attempts. Login is locked for ${describeWait(throttle.retryAfter)}.`
+                : `Too many failed attempts. Please wait ${describeWait(throttle.retryAfter)} and try again.`);
+        }
+
         // Find user
         const user = await User.findOne({ email: email.toLowerCase() });
 
-        if (!user) {
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid email or password'
-            });
+        // Check password (against a dummy hash for unknown emails, so timing doesn't tell them apart)
+        let isMatch = false;
+        if (user) {
+            isMatch = await user.comparePassword(password);
+        } else {
+            await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
         }
 
-        // Check password
-        const isMatch = await user.comparePassword(password);
-
         if (!isMatch) {
+            await auditLoginAttempt(req, {
+                email,
+                userId: user ? user._id : null,
+                success: false,
+                reason: user ? 'bad-password' : 'unknown-email'
+            });
+
             return res.status(401).json({
                 success: false,
-                message: 'Invalid email or password'
+                message: throttle.locked
+                    ? 'Invalid email or password. Too many failed attempts, so login is locked for a while.'
+                    : 'Invalid email or password'
             });
         }
 
-        // Generate token
-        const token = generateToken(user._id);
+        await loginSucceeded(email, req.ip);
+        await auditLoginAttempt(req, { email, userId: user._id, success: true, reason: 'ok' });
+
+        // Sign in this device
+        const tokens = await startSession(user._id, req);
 
         res.json({
             success: true,
@@ -136,10 +193,11 @@ router.post('/login', async (req, res) => {
                     id: user._id,
                     name: user.name,
                     email: user.email,
+                    emailVerified: user.emailVerified,
                     preferences: user.preferences,
                     statistics: user.statistics
                 },
-                token
+                ...tokens
             }
         });
     } catch (error) {
@@ -152,6 +210,229 @@ router.post('/login', async (req, res) => {
     }
 });
 
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link. Answers the same whether or not the
+//          email is registered, so it can't be used to look up accounts.
+// @access  Public
+router.post('/forgot-password', async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email || typeof email !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide your email'
+            });
+        }
+
+        // Limited whether or not the email is registered, so the limit gives nothing away
+        const emailWait = await checkEmailRequest(email, req.ip);
+
+        if (emailWait > 0) {
+            return sendTooManyAttempts(res, emailWait,
+                `Too many reset requests. Please try again in ${describeWait(emailWait)}.`);
+        }
+
+        const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+        if (user) {
+            await sendPasswordResetEmail(user);
+        }
+
+        res.json({
+            success: true,
+            message: 'If that email is registered, a password reset link is on its way'
+        });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token. Signs out every device.
+// @access  Public
+router.post('/reset-password', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide the reset token and a new password'
+            });
+        }
+
+        if (password.length < 6) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password must be at least 6 characters'
+            });
+        }
+
+        const userId = await consumeUserToken(token, 'password-reset');
+        const user = userId && await User.findById(userId);
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'This reset link is invalid or has expired'
+            });
+        }
+
+        // The reset link was opened from the inbox, so the address is verified too
+        user.password = password;
+        user.emailVerified = true;
+        await user.save();
+
+        await Promise.all([
+            revokeSessions(user._id),
+            spendUserTokens(user._id, 'password-reset'),
+            clearLoginFailures(user.email)
+        ]);
+
+        res.json({
+            success: true,
+            message: 'Password reset successfully. Please login with your new password.'
+        });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   PUT /api/auth/password
+// @desc    Change the password, given the current one. Signs out every other device.
+// @access  Private
+router.put('/password', auth, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide your current password and a new password'
+            });
+        }
+
+        if (newPassword.length < 6) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password must be at least 6 characters'
+            });
+        }
+
+        // Wrong passwords count towards the login limits
+        const user = await User.findById(req.userId);
+        const check = await confirmPassword(user, currentPassword, req.ip);
+
+        if (!check.allowed) {
+            return sendTooManyAttempts(res, check.retryAfter,
+                `Too many wrong passwords. Please try again in ${describeWait(check.retryAfter)}.`);
+        }
+
+        if (!check.match) {
+            return res.status(400).json({
+                success: false,
+                message: 'Current password is incorrect'
+            });
+        }
+
+        user.password = newPassword;
+        await user.save();
+
+        const [signedOut] = await Promise.all([
+            revokeSessions(user._id, { _id: { $ne: req.sessionId } }),
+            spendUserTokens(user._id, 'password-reset')
+        ]);
+
+        res.json({
+            success: true,
+            message: 'Password changed successfully',
+            data: { signedOut }
+        });
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify the user's email address with the token from their email
+// @access  Public
+router.post('/verify-email', async (req, res) => {
+    try {
+        const userId = await consumeUserToken(req.body.token, 'email-verification');
+        const user = userId && await User.findByIdAndUpdate(userId, { emailVerified: true }, { new: true });
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'This verification link is invalid or has expired'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Email verified successfully'
+        });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+    try {
+        if (req.user.emailVerified) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email is already verified'
+            });
+        }
+
+        const emailWait = await checkEmailRequest(req.user.email, req.ip);
+
+        if (emailWait > 0) {
+            return sendTooManyAttempts(res, emailWait,
+                `Too many verification emails requested. Please try again in ${describeWait(emailWait)}.`);
+        }
+
+        await sendVerificationEmail(req.user);
+
+        res.json({
+            success: true,
+            message: `Verification email sent to ${req.user.email}`
+        });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
 // @route   GET /api/auth/verify
 // @desc    Verify token and get user
 // @access  Private
@@ -171,11 +452,50 @@ router.get('/verify', auth, async (req, res) => {
     }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Swap a refresh token for a new access token and refresh token
+// @access  Public
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a refresh token'
+            });
+        }
+
+        const tokens = await refreshSession(refreshToken, req);
+
+        if (!tokens) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired refresh token, please login again'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: tokens
+        });
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user, revoking this device's session and its tokens
 // @access  Private
 router.post('/logout', auth, async (req, res) => {
     try {
+        await revokeSessions(req.userId, { _id: req.sessionId });
+
         res.json({
             success: true,
             message: 'Logged out successfully'
@@ -188,4 +508,105 @@ router.post('/logout', auth, async (req, res) => {
     }
 });
 
+// @route   GET /api/auth/login-history
+// @desc    The user's recent login attempts, failed ones included
+// @access  Private
+router.get('/login-history', auth, async (req, res) => {
+    try {
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+        const attempts = await LoginAttempt.find({ userId: req.userId })
+            .select('-userId')
+            .sort({ createdAt: -1 })
+            .limit(limit);
+
+        res.json({
+            success: true,
+            count: attempts.length,
+            data: attempts
+        });
+    } catch (error) {
+        console.error('Get login history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the devices the user is signed in on
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+    try {
+        const sessions = await getActiveSessions(req.userId);
+
+        res.json({
+            success: true,
+            count: sessions.length,
+            data: sessions.map(session => ({
+                ...session.toObject(),
+                current: String(session._id) === String(req.sessionId)
+            }))
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out every other device, keeping this one
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+    try {
+        const revoked = await revokeSessions(req.userId, { _id: { $ne: req.sessionId } });
+
+        res.json({
+            success: true,
+            message: `Signed out of ${revoked} other session${revoked === 1 ? '' : 's'}`,
+            data: { revoked }
+        });
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one device
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+    try {
+        const revoked = await revokeSessions(req.userId, { _id: req.params.id });
+
+        if (revoked === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Session revoked'
+        });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,402 @@
+/**
+ * Data import
+ * Validates a StudyMate JSON export (or a CSV of subjects) against the
+ * Subject, Timetable and StudyStats schemas and works out what an import
+ * would create, skip or reject before anything is written, then writes it
+ * all or nothing.
+ */
+
+const mongoose = require('mongoose');
+const Subject = require('../models/Subject');
+const Timetable = require('../models/Timetable');
+const StudyStats = require('../models/StudyStats');
+const StudySession = require('../models/StudySession');
+const { DAYS } = require('./timetableGenerator');
+const { clearStudyData } = require('./accountData');
+const { legacyEntriesFromStats, rebuildStudyAggregates } = require('./studyRecorder');
+const { getDayIndex, parseDateKey, toDateKey } = require('./dateUtils');
+
+const IMPORT_MODES = ['merge', 'replace'];
+const SUBJECT_CSV_COLUMNS = ['name', 'weeklyHours', 'difficulty', 'color', 'examPriority'];
+
+/**
+ * Parse CSV text into rows of fields (RFC 4180 quoting)
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Turn a subjects CSV (with a header row) into export-shaped subject objects
+ */
+function parseSubjectsCsv(text) {
+    const rows = parseCsv(text);
+
+    if (rows.length === 0) {
+        return { error: 'CSV file is empty' };
+    }
+
+    const header = rows[0].map(column => column.trim());
+    const missing = ['name', 'weeklyHours'].filter(column => !header.includes(column));
+
+    if (missing.length > 0) {
+        return { error: `CSV header must include: ${missing.join(', ')} (supported columns: ${SUBJECT_CSV_COLUMNS.join(', ')})` };
+    }
+
+    const subjects = rows.slice(1).map(fields => {
+        const subject = {};
+        header.forEach((column, index) => {
+            if (!SUBJECT_CSV_COLUMNS.includes(column)) return;
+            const value = (fields[index] || '').trim();
+            if (value === '') return;
+            subject[column] = ['weeklyHours', 'examPriority'].includes(column) ? Number(value) : value;
+        });
+        return subject;
+    });
+
+    return { subjects };
+}
+
+/**
+ * Read an exported calendar date as UTC midnight, the way days are stored.
+ * "YYYY-MM-DD" and ISO timestamps keep the calendar date they start with.
+ */
+function importDate(value) {
+    if (typeof value === 'string') return parseDateKey(value.slice(0, 10));
+    if (value instanceof Date && !isNaN(value.getTime())) return parseDateKey(toDateKey(value));
+    return null;
+}
+
+/**
+ * Collect mongoose validation messages into one string
+ */
+function validationMessage(doc) {
+    const error = doc.validateSync();
+    if (!error) return null;
+
+    return Object.values(error.errors).map(e => e.message).join('; ');
+}
+
+/**
+ * Plan which subjects to create and map exported subject ids onto the ones that will exist
+ */
+function planSubjects(userId, importedSubjects, existingSubjects) {
+    const plan = { create: [], conflicts: [], errors: [] };
+    const idMap = new Map();
+    const nameMap = new Map();
+    const seenNames = new Set();
+
+    existingSubjects.forEach(subject => {
+        nameMap.set(subject.name.toLowerCase(), subject._id);
+    });
+
+    importedSubjects.forEach((imported, index) => {
+        const name = typeof imported.name === 'string' ? imported.name.trim() : '';
+        const key = name.toLowerCase();
+
+        if (key && seenNames.has(key)) {
+            plan.conflicts.push({ index, name, reason: 'Duplicate subject name in import' });
+            return;
+        }
+        seenNames.add(key);
+
+        if (key && nameMap.has(key)) {
+            // userId+name is unique, so keep the existing subject and point imported references at it
+            if (imported._id) idMap.set(String(imported._id), nameMap.get(key));
+            plan.conflicts.push({ index, name, reason: 'A subject with this name already exists' });
+            return;
+        }
+
+        const subject = new Subject({
+            userId,
+            name,
+            weeklyHours: imported.weeklyHours,
+            difficulty: imported.difficulty || 'medium',
+            color: imported.color,
+            examPriority: imported.examPriority || 0,
+            exams: imported.exams || [],
+            topics: imported.topics || [],
+            // Progress, studied minutes and session counts are derived from the study log after the import
+            isActive: imported.isActive !== undefined ? imported.isActive : true
+        });
+
+        const message = validationMessage(subject);
+        if (message) {
+            plan.errors.push({ index, name, message });
+            return;
+        }
+
+        if (imported._id) idMap.set(String(imported._id), subject._id);
+        nameMap.set(key, subject._id);
+        plan.create.push(subject);
+    });
+
+    return { plan, idMap, nameMap };
+}
+
+/**
+ * Point an exported subject reference at the subject that exists after import
+ */
+function remapSubjectId(subjectId, subjectName, idMap, nameMap) {
+    if (subjectId && idMap.has(String(subjectId))) {
+        return idMap.get(String(subjectId));
+    }
+    if (subjectName && nameMap.has(subjectName.toLowerCase())) {
+        return nameMap.get(subjectName.toLowerCase());
+    }
+    return null;
+}
+
+/**
+ * Plan which timetable days to create
+ */
+function planTimetable(userId, importedDays, existingDays, idMap, nameMap) {
+    const plan = { create: [], conflicts: [], errors: [] };
+    const takenDates = new Set(existingDays.map(day => toDateKey(day.date)));
+
+    importedDays.forEach((imported, index) => {
+        const date = importDate(imported.date);
+        const validDate = Boolean(date);
+        const dayOfWeek = validDate ? getDayIndex(date) : imported.dayOfWeek;
+
+        const day = new Timetable({
+            userId,
+            date: validDate ? date : undefined,
+            dayOfWeek,
+            dayName: DAYS[dayOfWeek],
+            sessions: (imported.sessions || []).map(session => ({
+                subject: session.subject,
+                subjectId: session.type !== 'break'
+                    ? remapSubjectId(session.subjectId, session.subject, idMap, nameMap)
+                    : null,
+                topicId: session.topicId || null,
+                topic: session.topic || null,
+                startTime: session.startTime,
+                endTime: session.endTime,
+                duration: session.duration,
+                type: session.type,
+                completed: session.completed || false,
+                recall: session.recall ?? null,
+                color: session.color
+            }))
+        });
+
+        const label = validDate ? toDateKey(date) : `entry ${index + 1}`;
+        const message = validationMessage(day);
+        if (message) {
+            plan.errors.push({ index, date: label, message });
+            return;
+        }
+
+        if (takenDates.has(label)) {
+            plan.conflicts.push({ index, date: label, reason: 'A timetable already exists for this date' });
+            return;
+        }
+
+        takenDates.add(label);
+        plan.create.push(day);
+    });
+
+    return plan;
+}
+
+/**
+ * Plan which daily stats records to create
+ */
+function planStudyStats(userId, importedStats, existingStats, idMap, nameMap) {
+    const plan = { create: [], conflicts: [], errors: [] };
+    const takenDates = new Set(existingStats.map(stat => new Date(stat.date).getTime()));
+
+    importedStats.forEach((imported, index) => {
+        const stats = new StudyStats({
+            userId,
+            date: importDate(imported.date) || undefined,
+            sessionsCompleted: imported.sessionsCompleted || 0,
+            totalStudyMinutes: imported.totalStudyMinutes || 0,
+            subjectsStudied: (imported.subjectsStudied || []).map(entry => ({
+                subjectId: remapSubjectId(entry.subjectId, entry.subjectName, idMap, nameMap),
+                subjectName: entry.subjectName,
+                minutes: entry.minutes,
+                sessions: entry.sessions
+            })),
+            streakDay: imported.streakDay || false
+        });
+
+        const message = validationMessage(stats);
+        const label = stats.date ? stats.date.toISOString() : `entry ${index + 1}`;
+        if (message) {
+            plan.errors.push({ index, date: label, message });
+            return;
+        }
+
+        if (takenDates.has(stats.date.getTime())) {
+            plan.conflicts.push({ index, date: label, reason: 'Stats already exist for this date' });
+            return;
+        }
+
+        takenDates.add(stats.date.getTime());
+        plan.create.push(stats);
+    });
+
+    return plan;
+}
+
+/**
+ * Build the full import plan. In replace mode existing data is ignored because it will be deleted.
+ */
+function planImport({ userId, data, mode, existing }) {
+    const current = mode === 'replace'
+        ? { subjects: [], timetable: [], studyStats: [] }
+        : existing;
+
+    const { plan: subjects, idMap, nameMap } = planSubjects(userId, data.subjects || [], current.subjects);
+    const timetable = planTimetable(userId, data.timetable || [], current.timetable, idMap, nameMap);
+    const studyStats = planStudyStats(userId, data.studyStats || [], current.studyStats, idMap, nameMap);
+
+    return { subjects, timetable, studyStats };
+}
+
+/**
+ * Run work(session) in a MongoDB transaction. A standalone server (e.g. a
+ * development database) has no transactions, so there it runs without one.
+ */
+async function inTransaction(work) {
+    try {
+        return await mongoose.connection.transaction(work);
+    } catch (error) {
+        // IllegalOperation: transactions need a replica set or mongos
+        if (error.code !== 20) throw error;
+
+        console.warn('MongoDB does not support transactions here; importing without one');
+        return work(null);
+    }
+}
+
+/**
+ * Write a plan: in replace mode the user's study data is cleared first.
+ * Nothing is kept if any write fails. Every aggregate (subjects' progress
+ * included) is then derived again from the study log.
+ */
+async function applyImport(userId, plan, mode) {
+    await inTransaction(async (session) => {
+        if (mode === 'replace') {
+            await clearStudyData(userId, { session });
+        }
+
+        // Save one by one so model middleware (e.g. timetable totals) runs
+        for (const collection of ['subjects', 'timetable', 'studyStats']) {
+            for (const doc of plan[collection].create) {
+                await doc.save({ session });
+            }
+        }
+
+        // Imported daily stats go into the study log, which all totals are derived from
+        if (plan.studyStats.create.length > 0) {
+            await StudySession.insertMany(legacyEntriesFromStats(userId, plan.studyStats.create), { session });
+        }
+    });
+
+    await rebuildStudyAggregates(userId);
+}
+
+/**
+ * Summarise a plan for the API response (without the documents themselves)
+ */
+function summarizePlan(plan) {
+    const summary = {};
+
+    Object.entries(plan).forEach(([collection, { create, conflicts, errors }]) => {
+        summary[collection] = {
+            toCreate: create.length,
+            conflicts,
+            errors
+        };
+    });
+
+    return summary;
+}
+
+/**
+ * Check an export-shaped payload has the arrays we know how to import
+ */
+function validateExportShape(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return 'Import data must be a StudyMate JSON export object';
+    }
+
+    const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+    for (const key of ['subjects', 'timetable', 'studyStats']) {
+        if (data[key] === undefined) continue;
+
+        if (!Array.isArray(data[key])) {
+            return `"${key}" must be an array`;
+        }
+
+        const index = data[key].findIndex(entry => !isObject(entry));
+        if (index !== -1) {
+            return `"${key}" entry ${index} must be an object`;
+        }
+    }
+
+    // Nested lists are read entry by entry too
+    const nested = [['timetable', 'sessions'], ['studyStats', 'subjectsStudied']];
+    for (const [key, field] of nested) {
+        for (const [index, entry] of (data[key] || []).entries()) {
+            const list = entry[field];
+            if (list !== undefined && (!Array.isArray(list) || !list.every(isObject))) {
+                return `"${key}" entry ${index} has an invalid "${field}" list`;
+            }
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    IMPORT_MODES,
+    parseSubjectsCsv,
+    planImport,
+    applyImport,
+    summarizePlan,
+    validateExportShape
+};
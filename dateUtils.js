@@ -0,0 +1,162 @@
+/**
+ * Calendar date helpers
+ * Timetable days and daily stats are stored as UTC midnight of their calendar
+ * date so that "2026-10-19" means the same day regardless of the server's
+ * timezone. Which calendar day it is "now" depends on the user's IANA timezone.
+ */
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+const DATE_KEY_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Parse a "YYYY-MM-DD" string into a calendar date, or null if invalid
+ */
+function parseDateKey(value) {
+    const match = typeof value === 'string' && value.match(DATE_KEY_REGEX);
+    if (!match) return null;
+
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+
+    // Reject dates like 2026-02-31 that roll over into the next month
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+
+    return date;
+}
+
+/**
+ * Format a calendar date as "YYYY-MM-DD"
+ */
+function toDateKey(date) {
+    return new Date(date).toISOString().slice(0, 10);
+}
+
+const zoneFormats = new Map();
+
+/**
+ * Whether a value is an IANA timezone the runtime knows, e.g. "Europe/Berlin"
+ */
+function isValidTimezone(timeZone) {
+    if (typeof timeZone !== 'string' || !timeZone) return false;
+
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock year, month, day, hour and minute of an instant in a timezone
+ * (the server's own timezone when none is given)
+ */
+function zonedParts(time, timeZone) {
+    const instant = new Date(time);
+
+    if (!timeZone) {
+        return {
+            year: instant.getFullYear(),
+            month: instant.getMonth() + 1,
+            day: instant.getDate(),
+            hour: instant.getHours(),
+            minute: instant.getMinutes()
+        };
+    }
+
+    if (!zoneFormats.has(timeZone)) {
+        zoneFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric'
+        }));
+    }
+
+    const parts = {};
+    zoneFormats.get(timeZone).formatToParts(instant).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = Number(value);
+    });
+    return parts;
+}
+
+/**
+ * Calendar date (as UTC midnight) an instant falls on in a timezone
+ */
+function dateInTimezone(time, timeZone) {
+    const { year, month, day } = zonedParts(time, timeZone);
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Minutes after midnight an instant falls on in a timezone
+ */
+function minutesIntoDay(time, timeZone) {
+    const { hour, minute } = zonedParts(time, timeZone);
+    return hour * 60 + minute;
+}
+
+/**
+ * Minutes a timezone is ahead of UTC at an instant, e.g. 120 for Europe/Berlin in summer
+ */
+function utcOffsetMinutes(time, timeZone) {
+    const { year, month, day, hour, minute } = zonedParts(time, timeZone);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    const instant = Math.floor(new Date(time).getTime() / 60000) * 60000;
+    return Math.round((wallClock - instant) / 60000);
+}
+
+/**
+ * Today's calendar date in a timezone as UTC midnight
+ */
+function today(timeZone) {
+    return dateInTimezone(new Date(), timeZone);
+}
+
+/**
+ * Add whole days to a calendar date
+ */
+function addDays(date, days) {
+    return new Date(new Date(date).getTime() + days * MS_PER_DAY);
+}
+
+/**
+ * Day index used by timetables: 0 = Monday ... 6 = Sunday
+ */
+function getDayIndex(date) {
+    const day = new Date(date).getUTCDay();
+    return day === 0 ? 6 : day - 1;
+}
+
+/**
+ * Monday of the week containing the given calendar date
+ */
+function startOfWeek(date) {
+    return addDays(date, -getDayIndex(date));
+}
+
+/**
+ * Whole days between two calendar dates (b - a)
+ */
+function daysBetween(a, b) {
+    return Math.round((new Date(b) - new Date(a)) / MS_PER_DAY);
+}
+
+module.exports = {
+    parseDateKey,
+    toDateKey,
+    isValidTimezone,
+    dateInTimezone,
+    minutesIntoDay,
+    utcOffsetMinutes,
+    today,
+    addDays,
+    getDayIndex,
+    startOfWeek,
+    daysBetween
+};
@@ -0,0 +1,368 @@
+const express = require('express');
+const FocusSession = require('../models/FocusSession');
+const Timetable = require('../models/Timetable');
+const { auth } = require('../middleware/auth');
+const { recordStudySession } = require('../utils/studyRecorder');
+
+const router = express.Router();
+
+const PAUSE_REASONS = ['pause', 'interruption'];
+
+// Minutes past the plan credited without asking; a timer left running
+// longer only counts the extra time when the user confirms it
+const OVERTIME_MINUTES = 30;
+
+// Find one of the user's focus sessions by id
+const findFocusSession = (req) => {
+    return FocusSession.findOne({ _id: req.params.id, userId: req.userId });
+};
+
+// @route   GET /api/focus/active
+// @desc    Get the running or paused focus timer, if any (used to restore after a reload)
+// @access  Private
+router.get('/active', auth, async (req, res) => {
+    try {
+        const focus = await FocusSession.findOne({
+            userId: req.userId,
+            status: { $in: ['running', 'paused'] }
+        });
+
+        res.json({
+            success: true,
+            data: focus ? focus.toTimerState() : null
+        });
+    } catch (error) {
+        console.error('Get active focus error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/focus/start
+// @desc    Start a focus timer for a timetable study session
+// @access  Private
+router.post('/start', auth, async (req, res) => {
+    try {
+        const { sessionId } = req.body;
+
+        if (!sessionId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Session id is required'
+            });
+        }
+
+        const active = await FocusSession.findOne({
+            userId: req.userId,
+            status: { $in: ['running', 'paused'] }
+        });
+
+        if (active) {
+            return res.status(409).json({
+                success: false,
+                message: 'A focus timer is already in progress. Stop it before starting another.',
+                data: active.toTimerState()
+            });
+        }
+
+        const timetable = await Timetable.findOne({
+            userId: req.userId,
+            'sessions._id': sessionId
+        });
+        const session = timetable ? timetable.sessions.id(sessionId) : null;
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        if (session.type !== 'study') {
+            return res.status(400).json({
+                success: false,
+                message: 'Focus timers can only be started for study sessions'
+            });
+        }
+
+        if (session.completed) {
+            return res.status(400).json({
+                success: false,
+                message: 'This session is already completed'
+            });
+        }
+
+        let focus;
+        try {
+            focus = await FocusSession.create({
+                userId: req.userId,
+                timetableId: timetable._id,
+                sessionId: session._id,
+                subjectId: session.subjectId,
+                subjectName: session.subject,
+                plannedMinutes: session.duration
+            });
+        } catch (error) {
+            // Another start got in first (one active timer per user is enforced by an index)
+            if (error.code !== 11000) throw error;
+
+            const started = await FocusSession.findOne({
+                userId: req.userId,
+                status: { $in: ['running', 'paused'] }
+            });
+            return res.status(409).json({
+                success: false,
+                message: 'A focus timer is already in progress. Stop it before starting another.',
+                data: started ? started.toTimerState() : null
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Focus timer started',
+            data: focus.toTimerState()
+        });
+    } catch (error) {
+        console.error('Start focus error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/focus/:id/pause
+// @desc    Pause a running focus timer ({ reason: 'pause' | 'interruption', note })
+// @access  Private
+router.post('/:id/pause', auth, async (req, res) => {
+    try {
+        const { reason = 'pause', note } = req.body;
+
+        if (!PAUSE_REASONS.includes(reason)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid reason. Use one of: ${PAUSE_REASONS.join(', ')}`
+            });
+        }
+
+        const focus = await findFocusSession(req);
+
+        if (!focus) {
+            return res.status(404).json({
+                success: false,
+                message: 'Focus session not found'
+            });
+        }
+
+        if (focus.status !== 'running') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only a running timer can be paused'
+            });
+        }
+
+        focus.pauses.push({ pausedAt: new Date(), reason, note });
+        focus.status = 'paused';
+        await focus.save();
+
+        res.json({
+            success: true,
+            message: 'Focus timer paused',
+            data: focus.toTimerState()
+        });
+    } catch (error) {
+        console.error('Pause focus error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/focus/:id/resume
+// @desc    Resume a paused focus timer
+// @access  Private
+router.post('/:id/resume', auth, async (req, res) => {
+    try {
+        const focus = await findFocusSession(req);
+
+        if (!focus) {
+            return res.status(404).json({
+                success: false,
+                message: 'Focus session not found'
+            });
+        }
+
+        if (focus.status !== 'paused') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only a paused timer can be resumed'
+            });
+        }
+
+        focus.pauses[focus.pauses.length - 1].resumedAt = new Date();
+        focus.status = 'running';
+        await focus.save();
+
+        res.json({
+            success: true,
+            message: 'Focus timer resumed',
+            data: focus.toTimerState()
+        });
+    } catch (error) {
+        console.error('Resume focus error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/focus/:id/stop
+// @desc    Stop a focus timer and record the real elapsed minutes
+//          ({ completed } defaults to whether the planned time was reached).
+//          At most OVERTIME_MINUTES past the plan are credited unless { keepOvertime } is set.
+// @access  Private
+router.post('/:id/stop', auth, async (req, res) => {
+    try {
+        const focus = await findFocusSession(req);
+
+        if (!focus) {
+            return res.status(404).json({
+                success: false,
+                message: 'Focus session not found'
+            });
+        }
+
+        if (focus.status === 'stopped') {
+            return res.status(400).json({
+                success: false,
+                message: 'This timer has already been stopped'
+            });
+        }
+
+        const now = new Date();
+        if (focus.status === 'paused') {
+            focus.pauses[focus.pauses.length - 1].resumedAt = now;
+        }
+
+        focus.endedAt = now;
+        const elapsedMinutes = Math.round(focus.getElapsedMs(now) / 60000);
+        const completed = req.body.completed !== undefined
+            ? Boolean(req.body.completed)
+            : elapsedMinutes >= focus.plannedMinutes;
+        let creditedMinutes = req.body.keepOvertime
+            ? elapsedMinutes
+            : Math.min(elapsedMinutes, focus.plannedMinutes + OVERTIME_MINUTES);
+
+        const timetable = await Timetable.findOne({ _id: focus.timetableId, userId: req.userId });
+        const session = timetable ? timetable.sessions.id(focus.sessionId) : null;
+        // A session ticked off by hand while the timer ran already logged its
+        // minutes and was counted; only time beyond that is credited
+        const alreadyCompleted = Boolean(session && session.completed);
+        if (alreadyCompleted) {
+            creditedMinutes = Math.max(0, creditedMinutes - (session.actualMinutes || 0));
+        }
+
+        // Only the request that actually stops the timer credits its time
+        const stopped = await FocusSession.findOneAndUpdate(
+            { _id: focus._id, userId: req.userId, status: { $in: ['running', 'paused'] } },
+            {
+                status: 'stopped',
+                endedAt: now,
+                pauses: focus.pauses,
+                elapsedMinutes,
+                creditedMinutes,
+                completed
+            },
+            { new: true }
+        );
+
+        if (!stopped) {
+            return res.status(400).json({
+                success: false,
+                message: 'This timer has already been stopped'
+            });
+        }
+
+        // Credit the real time to the timetable session and the stats
+        const countSession = completed && !alreadyCompleted;
+        let recorded = null;
+
+        if (session && (creditedMinutes > 0 || countSession)) {
+            session.actualMinutes = (session.actualMinutes || 0) + creditedMinutes;
+            if (!alreadyCompleted) session.completed = completed;
+            await timetable.save();
+        }
+
+        if (creditedMinutes > 0 || countSession) {
+            const { userStats, todayStats } = await recordStudySession({
+                userId: req.userId,
+                subjectId: stopped.subjectId,
+                subjectName: stopped.subjectName,
+                timetableId: stopped.timetableId,
+                sessionId: stopped.sessionId,
+                topicId: session ? session.topicId : null,
+                type: session && session.type === 'review' ? 'review' : 'study',
+                source: 'timer',
+                startedAt: stopped.startedAt,
+                endedAt: now,
+                minutes: creditedMinutes,
+                sessions: countSession ? 1 : 0
+            });
+            recorded = { userStats, todayStats };
+        }
+
+        res.json({
+            success: true,
+            message: creditedMinutes < elapsedMinutes
+                ? `Focus session stopped after ${elapsedMinutes} minutes; ${creditedMinutes} were credited`
+                : `Focus session stopped after ${elapsedMinutes} minutes`,
+            data: {
+                focus: stopped.toTimerState(now),
+                session,
+                ...recorded
+            }
+        });
+    } catch (error) {
+        console.error('Stop focus error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   GET /api/focus/history
+// @desc    Get recent finished focus sessions with their pauses
+// @access  Private
+router.get('/history', auth, async (req, res) => {
+    try {
+        const { limit = 20 } = req.query;
+
+        const history = await FocusSession.find({ userId: req.userId, status: 'stopped' })
+            .sort({ endedAt: -1 })
+            .limit(Math.min(100, parseInt(limit) || 20));
+
+        res.json({
+            success: true,
+            data: history.map(focus => focus.toTimerState())
+        });
+    } catch (error) {
+        console.error('Get focus history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
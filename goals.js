@@ -0,0 +1,152 @@
+/**
+ * Goal Progress
+ * Works out how far each goal has come from the daily StudyStats and whether
+ * it is on track, behind, achieved or missed (its deadline passed first).
+ */
+
+const StudyStats = require('../models/StudyStats');
+const { today, addDays, startOfWeek, daysBetween, toDateKey } = require('./dateUtils');
+
+// How many past weeks a weekly goal reports
+const WEEK_HISTORY_LIMIT = 12;
+
+/**
+ * Minutes a day's stats count towards a goal (one subject, or all study)
+ */
+function minutesFor(stats, subjectId) {
+    if (!stats) return 0;
+    if (!subjectId) return stats.totalStudyMinutes;
+
+    return stats.subjectsStudied
+        .filter(entry => entry.subjectId && String(entry.subjectId) === String(subjectId))
+        .reduce((acc, entry) => acc + (entry.minutes || 0), 0);
+}
+
+/**
+ * Progress of a "total minutes before a deadline" goal. It is on track while
+ * the minutes studied up to yesterday keep pace with an even spread to the deadline.
+ */
+function evaluateTotalGoal(goal, minutesOn, todayDate) {
+    const end = goal.endDate;
+    const totalDays = daysBetween(goal.startDate, end) + 1;
+    const last = todayDate < end ? todayDate : end;
+
+    let studiedMinutes = 0;
+    for (let date = goal.startDate; date <= last; date = addDays(date, 1)) {
+        studiedMinutes += minutesOn(date);
+    }
+
+    const elapsedDays = Math.min(totalDays, Math.max(0, daysBetween(goal.startDate, todayDate)));
+    const expectedMinutes = Math.round(goal.targetMinutes * elapsedDays / totalDays);
+    const remainingMinutes = Math.max(0, goal.targetMinutes - studiedMinutes);
+    const daysLeft = Math.max(0, daysBetween(todayDate, end) + 1);
+
+    let status = studiedMinutes >= expectedMinutes ? 'on-track' : 'behind';
+    if (studiedMinutes >= goal.targetMinutes) status = 'achieved';
+    else if (todayDate > end) status = 'missed';
+
+    return {
+        status,
+        percent: Math.min(100, Math.round((studiedMinutes / goal.targetMinutes) * 100)),
+        studiedMinutes,
+        expectedMinutes,
+        remainingMinutes,
+        daysLeft,
+        minutesPerDayNeeded: daysLeft > 0 ? Math.ceil(remainingMinutes / daysLeft) : null
+    };
+}
+
+/**
+ * Progress of a "days a week at N minutes" goal, for the current week and
+ * the weeks before it. A week counts the days it overlaps the goal's dates.
+ */
+function evaluateWeeklyGoal(goal, minutesOn, todayDate) {
+    const goalEnd = goal.endDate || null;
+    const lastDay = goalEnd && goalEnd < todayDate ? goalEnd : todayDate;
+
+    const evaluateWeek = (weekStart) => {
+        const from = weekStart > goal.startDate ? weekStart : goal.startDate;
+        const weekEnd = addDays(weekStart, 6);
+        const to = goalEnd && goalEnd < weekEnd ? goalEnd : weekEnd;
+        const daysInGoal = daysBetween(from, to) + 1;
+        const target = Math.min(goal.daysPerWeek, daysInGoal);
+
+        const metDays = [];
+        for (let date = from; date <= to && date <= todayDate; date = addDays(date, 1)) {
+            if (minutesOn(date) >= goal.minutesPerDay) metDays.push(toDateKey(date));
+        }
+
+        return { weekStart: toDateKey(weekStart), from, to, target, daysMet: metDays.length, metDays, met: metDays.length >= target };
+    };
+
+    const weeks = [];
+    for (let weekStart = startOfWeek(goal.startDate); weekStart <= lastDay; weekStart = addDays(weekStart, 7)) {
+        weeks.push(evaluateWeek(weekStart));
+    }
+
+    const current = weeks[weeks.length - 1] || evaluateWeek(startOfWeek(goal.startDate));
+    const finishedWeeks = weeks.filter(week => week.to < todayDate);
+    let status;
+
+    if (goalEnd && todayDate > goalEnd) {
+        status = weeks.every(week => week.met) ? 'achieved' : 'missed';
+    } else if (current.met) {
+        status = 'achieved';
+    } else {
+        // Days still to come this week, today included if it isn't met yet
+        const todayMet = current.metDays.includes(toDateKey(todayDate));
+        const start = todayDate < current.from ? current.from : (todayMet ? addDays(todayDate, 1) : todayDate);
+        const daysLeft = Math.max(0, daysBetween(start, current.to) + 1);
+        const needed = current.target - current.daysMet;
+
+        // Keep pace with an even spread of the target over the week, up to yesterday
+        const elapsed = Math.max(0, Math.min(daysBetween(current.from, todayDate), daysBetween(current.from, current.to) + 1));
+        const expected = Math.floor(current.target * elapsed / (daysBetween(current.from, current.to) + 1));
+
+        status = needed <= daysLeft && current.daysMet >= expected ? 'on-track' : 'behind';
+    }
+
+    const describe = ({ weekStart, target, daysMet, met }) => ({ weekStart, target, daysMet, met });
+
+    return {
+        status,
+        percent: Math.min(100, Math.round((current.daysMet / current.target) * 100)),
+        currentWeek: describe(current),
+        weeksMet: finishedWeeks.filter(week => week.met).length,
+        weeksFinished: finishedWeeks.length,
+        history: weeks.slice(-WEEK_HISTORY_LIMIT).map(describe).reverse()
+    };
+}
+
+/**
+ * A goal's progress from a map of "YYYY-MM-DD" keys to daily stats
+ */
+function evaluateGoal(goal, statsByDay, todayDate) {
+    const minutesOn = (date) => minutesFor(statsByDay.get(toDateKey(date)), goal.subjectId);
+
+    return goal.type === 'total'
+        ? evaluateTotalGoal(goal, minutesOn, todayDate)
+        : evaluateWeeklyGoal(goal, minutesOn, todayDate);
+}
+
+/**
+ * Attach progress to each of a user's goals, loading the daily stats they span once
+ */
+async function withProgress(user, goals) {
+    if (goals.length === 0) return [];
+
+    const todayDate = today(user.preferences.timezone);
+    const earliest = goals.reduce((min, goal) => (goal.startDate < min ? goal.startDate : min), goals[0].startDate);
+    const dailyStats = await StudyStats.find({ userId: user._id, date: { $gte: earliest, $lte: todayDate } });
+    const statsByDay = new Map(dailyStats.map(stats => [toDateKey(stats.date), stats]));
+
+    return goals.map(goal => ({
+        ...goal.toObject(),
+        progress: evaluateGoal(goal, statsByDay, todayDate)
+    }));
+}
+
+module.exports = {
+    evaluateGoal,
+    withProgress
+};
@@ -0,0 +1,215 @@
+const express = require('express');
+const Goal = require('../models/Goal');
+const Subject = require('../models/Subject');
+const { auth } = require('../middleware/auth');
+const { parseDateKey, today } = require('../utils/dateUtils');
+const { withProgress } = require('../utils/goals');
+
+const router = express.Router();
+
+const GOAL_FIELDS = ['title', 'type', 'targetMinutes', 'daysPerWeek', 'minutesPerDay', 'isActive'];
+
+// Find one of the user's goals by the :id route param
+const findUserGoal = (req) => {
+    return Goal.findOne({ _id: req.params.id, userId: req.userId });
+};
+
+// Copy goal fields from the request body onto a goal, checking dates and the
+// subject. Returns an error message, or null when the goal is ready to validate.
+const applyGoalFields = async (req, goal) => {
+    const body = req.body;
+
+    GOAL_FIELDS.forEach(field => {
+        if (body[field] !== undefined) goal[field] = body[field];
+    });
+
+    for (const field of ['startDate', 'endDate']) {
+        if (body[field] === undefined) continue;
+        if (body[field] === null && field === 'endDate') {
+            goal.endDate = null;
+            continue;
+        }
+
+        const date = parseDateKey(body[field]);
+        if (!date) return `Invalid ${field}. Use YYYY-MM-DD`;
+        goal[field] = date;
+    }
+
+    if (body.subjectId !== undefined) {
+        if (body.subjectId) {
+            const subject = await Subject.findOne({ _id: body.subjectId, userId: req.userId });
+            if (!subject) return 'Subject not found';
+        }
+        goal.subjectId = body.subjectId || null;
+    }
+
+    const validationError = goal.validateSync();
+    return validationError ? Object.values(validationError.errors)[0].message : null;
+};
+
+// @route   GET /api/goals
+// @desc    Get the user's goals with their progress (?all=true includes inactive goals)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+    try {
+        const filter = { userId: req.userId };
+        if (req.query.all !== 'true') filter.isActive = true;
+
+        const goals = await Goal.find(filter).sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            count: goals.length,
+            data: await withProgress(req.user, goals)
+        });
+    } catch (error) {
+        console.error('Get goals error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   GET /api/goals/:id
+// @desc    Get a single goal with its progress
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+    try {
+        const goal = await findUserGoal(req);
+
+        if (!goal) {
+            return res.status(404).json({
+                success: false,
+                message: 'Goal not found'
+            });
+        }
+
+        const [data] = await withProgress(req.user, [goal]);
+
+        res.json({
+            success: true,
+            data
+        });
+    } catch (error) {
+        console.error('Get goal error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/goals
+// @desc    Create a goal
+//          total:  { title, type: 'total', targetMinutes, endDate, subjectId?, startDate? }
+//          weekly: { title, type: 'weekly', daysPerWeek, minutesPerDay, subjectId?, startDate?, endDate? }
+// @access  Private
+router.post('/', auth, async (req, res) => {
+    try {
+        const goal = new Goal({
+            userId: req.userId,
+            startDate: today(req.user.preferences.timezone)
+        });
+
+        const error = await applyGoalFields(req, goal);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        await goal.save();
+        const [data] = await withProgress(req.user, [goal]);
+
+        res.status(201).json({
+            success: true,
+            message: 'Goal created successfully',
+            data
+        });
+    } catch (error) {
+        console.error('Create goal error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   PUT /api/goals/:id
+// @desc    Update a goal
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+    try {
+        const goal = await findUserGoal(req);
+
+        if (!goal) {
+            return res.status(404).json({
+                success: false,
+                message: 'Goal not found'
+            });
+        }
+
+        const error = await applyGoalFields(req, goal);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        await goal.save();
+        const [data] = await withProgress(req.user, [goal]);
+
+        res.json({
+            success: true,
+            message: 'Goal updated successfully',
+            data
+        });
+    } catch (error) {
+        console.error('Update goal error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/goals/:id
+// @desc    Delete a goal
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+    try {
+        const goal = await Goal.findOneAndDelete({
+            _id: req.params.id,
+            userId: req.userId
+        });
+
+        if (!goal) {
+            return res.status(404).json({
+                success: false,
+                message: 'Goal not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Goal deleted successfully',
+            data: goal
+        });
+    } catch (error) {
+        console.error('Delete goal error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,288 @@
+/**
+ * iCalendar (RFC 5545) export
+ * Turns date-based timetables into a VCALENDAR with one VEVENT per study
+ * or review session. Sessions that repeat on the same weekday and time in consecutive
+ * weeks are folded into a single event with a weekly RRULE. Times are given in
+ * the user's timezone (TZID) with a VTIMEZONE describing its UTC offsets.
+ */
+
+const { parseTime } = require('./timetableGenerator');
+const { toDateKey, addDays, daysBetween, utcOffsetMinutes } = require('./dateUtils');
+
+const PRODUCT_ID = '-//StudyMate AI//Study Timetable//EN';
+const UID_DOMAIN = 'studymate.ai';
+const MINUTES_PER_DAY = 24 * 60;
+const MS_PER_DAY = MINUTES_PER_DAY * 60 * 1000;
+
+// RFC 7986 COLOR takes a CSS color name, so map the app's subject palette onto the closest ones
+const CSS_COLOR_NAMES = {
+    '#3B82F6': 'royalblue',
+    '#10B981': 'mediumseagreen',
+    '#F59E0B': 'orange',
+    '#EF4444': 'tomato',
+    '#8B5CF6': 'mediumpurple',
+    '#EC4899': 'hotpink',
+    '#06B6D4': 'darkturquoise',
+    '#84CC16': 'yellowgreen',
+    '#F97316': 'darkorange',
+    '#6366F1': 'slateblue'
+};
+
+/**
+ * Escape a TEXT property value
+ */
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets, continuing with CRLF + space
+ */
+function foldLine(line) {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    const limit = () => (parts.length === 0 ? 75 : 74);
+
+    for (const char of line) {
+        const charBytes = Buffer.byteLength(char, 'utf8');
+        if (currentBytes + charBytes > limit()) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Format a calendar date plus minutes after its midnight (which may run into
+ * the next day) as a local DATE-TIME
+ */
+function formatLocalDateTime(date, minutesIntoDay) {
+    const day = toDateKey(addDays(date, Math.floor(minutesIntoDay / MINUTES_PER_DAY))).replace(/-/g, '');
+    const minutes = minutesIntoDay % MINUTES_PER_DAY;
+    const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+    const mins = String(minutes % 60).padStart(2, '0');
+
+    return `${day}T${hours}${mins}00`;
+}
+
+/**
+ * Minutes after midnight a "h:mm AM/PM" time stands for
+ */
+function clockMinutes(time) {
+    const parsed = parseTime(time) || { hours: 0, minutes: 0 };
+    return parsed.hours * 60 + parsed.minutes;
+}
+
+/**
+ * Format a UTC offset in minutes as "+HHMM" / "-HHMM"
+ */
+function formatOffset(offsetMinutes) {
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const absolute = Math.abs(offsetMinutes);
+    return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Instants between two dates where the timezone's UTC offset changes, found
+ * by checking every day and narrowing each change down to the minute
+ */
+function findOffsetChanges(timeZone, from, to) {
+    const changes = [];
+    let previous = from.getTime();
+    let previousOffset = utcOffsetMinutes(previous, timeZone);
+
+    for (let time = previous + MS_PER_DAY; time <= to.getTime(); time += MS_PER_DAY) {
+        const offset = utcOffsetMinutes(time, timeZone);
+
+        if (offset !== previousOffset) {
+            let low = previous;
+            let high = time;
+            while (high - low > 60000) {
+                const middle = low + Math.floor((high - low) / 120000) * 60000;
+                if (utcOffsetMinutes(middle, timeZone) === previousOffset) low = middle;
+                else high = middle;
+            }
+            changes.push({ at: high, from: previousOffset, to: offset });
+        }
+
+        previous = time;
+        previousOffset = offset;
+    }
+
+    return changes;
+}
+
+/**
+ * Build a VTIMEZONE covering the dates between from and to (calendar dates).
+ * Each offset change becomes its own STANDARD or DAYLIGHT observance.
+ */
+function buildTimezone(timeZone, from, to) {
+    const start = addDays(from, -1);
+    const end = addDays(to, 2);
+    const startOffset = utcOffsetMinutes(start, timeZone);
+
+    // DTSTART of an observance is the wall-clock time in the offset it replaces
+    const observance = (at, offsetFrom, offsetTo, type) => [
+        `BEGIN:${type}`,
+        `DTSTART:${formatUtcDateTime(at + offsetFrom * 60000).replace('Z', '')}`,
+        `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+        `TZOFFSETTO:${formatOffset(offsetTo)}`,
+        `END:${type}`
+    ];
+
+    const changes = findOffsetChanges(timeZone, start, end);
+    // The offset in force at the start is daylight time if it later falls back
+    const startType = changes.length > 0 && changes[0].to < startOffset ? 'DAYLIGHT' : 'STANDARD';
+    const lines = [
+        'BEGIN:VTIMEZONE',
+        `TZID:${timeZone}`,
+        ...observance(start.getTime(), startOffset, startOffset, startType)
+    ];
+
+    changes.forEach(change => {
+        lines.push(...observance(change.at, change.from, change.to, change.to > change.from ? 'DAYLIGHT' : 'STANDARD'));
+    });
+
+    lines.push('END:VTIMEZONE');
+    return lines;
+}
+
+/**
+ * Format a timestamp as a UTC DATE-TIME
+ */
+function formatUtcDateTime(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Group study and review sessions into runs that repeat weekly at the same time
+ */
+function groupRecurringSessions(timetables) {
+    const groups = new Map();
+
+    timetables.forEach(day => {
+        day.sessions
+            .filter(session => session.type !== 'break')
+            .forEach(session => {
+                const key = [
+                    session.type,
+                    session.subjectId || session.subject,
+                    session.topicId || '',
+                    day.dayOfWeek,
+                    session.startTime,
+                    session.endTime
+                ].join('|');
+
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push({ date: day.date, session });
+            });
+    });
+
+    const runs = [];
+
+    groups.forEach(occurrences => {
+        occurrences.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+        let run = [occurrences[0]];
+        for (let i = 1; i < occurrences.length; i++) {
+            const previous = run[run.length - 1];
+            if (daysBetween(previous.date, occurrences[i].date) === 7) {
+                run.push(occurrences[i]);
+            } else {
+                runs.push(run);
+                run = [occurrences[i]];
+            }
+        }
+        runs.push(run);
+    });
+
+    return runs.sort((a, b) => new Date(a[0].date) - new Date(b[0].date));
+}
+
+/**
+ * Build a VEVENT for one run of weekly occurrences
+ */
+function buildEvent(run, stamp, timeZone) {
+    const { date, session } = run[0];
+    const start = clockMinutes(session.startTime);
+    // Sessions can end at midnight or later, so the end is the start plus the duration
+    const duration = session.duration || ((clockMinutes(session.endTime) - start + MINUTES_PER_DAY) % MINUTES_PER_DAY);
+    const color = (session.color || '').toUpperCase();
+    const title = session.topic ? `${session.subject}: ${session.topic}` : session.subject;
+    const isReview = session.type === 'review';
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${session._id}@${UID_DOMAIN}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;TZID=${timeZone}:${formatLocalDateTime(date, start)}`,
+        `DTEND;TZID=${timeZone}:${formatLocalDateTime(date, start + duration)}`,
+        `SUMMARY:${escapeText(isReview ? `🔁 Review ${title}` : `📚 ${title}`)}`,
+        `DESCRIPTION:${escapeText(`${session.duration} minute ${isReview ? 'review' : 'study session'} for ${title}`)}`,
+        `CATEGORIES:${escapeText(session.subject)}`
+    ];
+
+    if (run.length > 1) {
+        lines.push(`RRULE:FREQ=WEEKLY;COUNT=${run.length}`);
+    }
+
+    if (CSS_COLOR_NAMES[color]) {
+        lines.push(`COLOR:${CSS_COLOR_NAMES[color]}`);
+    }
+    if (color) {
+        lines.push(`X-STUDYMATE-COLOR:${color}`);
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * Build an RFC 5545 calendar from date-based timetables
+ */
+function buildCalendar(timetables, options = {}) {
+    const { name = 'StudyMate Timetable', timeZone = 'UTC' } = options;
+    const stamp = formatUtcDateTime(new Date());
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `NAME:${escapeText(name)}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H'
+    ];
+
+    if (timetables.length > 0) {
+        const dates = timetables.map(day => new Date(day.date).getTime());
+        lines.push(...buildTimezone(timeZone, new Date(Math.min(...dates)), new Date(Math.max(...dates))));
+    }
+
+    groupRecurringSessions(timetables).forEach(run => {
+        lines.push(...buildEvent(run, stamp, timeZone));
+    });
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    buildCalendar
+};
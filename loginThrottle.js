@@ -0,0 +1,374 @@
+/**
+ * Login Throttle
+ * Slows down password guessing. Failed logins are counted per account and
+ * per IP address: after a few failures each new attempt has to wait a little
+ * longer, and after many the account (or address) is locked for a while.
+ * Sign-ups are limited per IP address, and requests that send email (password
+ * resets, verification links) per address and per IP address. Every login
+ * attempt is kept in the LoginAttempt audit log.
+ *
+ * Counters live in a swappable store: any object with async attempt,
+ * forgive and reset methods (see memoryStore). The in-memory store suits development
+ * and tests; production uses the Mongo store so counts are shared between
+ * server processes and survive restarts.
+ */
+
+const ThrottleEntry = require('../models/ThrottleEntry');
+const LoginAttempt = require('../models/LoginAttempt');
+
+const MINUTE = 60 * 1000;
+
+const POLICY = {
+    // Failures are counted over this window, from the latest one
+    windowMs: 15 * MINUTE,
+    // Failures allowed before each attempt has to wait, doubling from 1s up to maxDelayMs
+    freeFailures: 3,
+    maxDelayMs: 30 * 1000,
+    // Failures that lock an account or an IP address, and for how long
+    accountLockAfter: 10,
+    ipLockAfter: 50,
+    lockMs: 15 * MINUTE,
+    // Sign-ups allowed per IP address per hour
+    registrationsPerHour: 10,
+    // Emails that can be requested per email address, and per IP address, per hour
+    emailsPerAddressPerHour: 3,
+    emailsPerIpPerHour: 20
+};
+
+// Most keys the memory store holds; beyond it the oldest are dropped
+const MEMORY_STORE_MAX_KEYS = 10000;
+
+/**
+ * How long an entry still has to wait, in ms, and whether that is a lock
+ */
+function waitFor(entry, rules, now) {
+    if (!entry) return { waitMs: 0, locked: false };
+
+    const lockedUntil = entry.lockedUntil ? new Date(entry.lockedUntil).getTime() : 0;
+    if (lockedUntil > now) {
+        return { waitMs: lockedUntil - now, locked: true };
+    }
+
+    if (entry.count < rules.freeFailures) return { waitMs: 0, locked: false };
+
+    const delay = Math.min(rules.maxDelayMs, 1000 * 2 ** (entry.count - rules.freeFailures));
+    return { waitMs: Math.max(0, new Date(entry.lastAt).getTime() + delay - now), locked: false };
+}
+
+/**
+ * Counters kept in process memory. Lapsed entries are swept out whenever
+ * the store is full, and the oldest keys dropped if it is still full.
+ */
+function memoryStore(maxKeys = MEMORY_STORE_MAX_KEYS) {
+    const entries = new Map();
+
+    const live = (key, now) => {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt <= now) {
+            entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    };
+
+    const makeRoom = (now) => {
+        if (entries.size < maxKeys) return;
+
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= now) entries.delete(key);
+        }
+        // Map keys iterate oldest first
+        for (const key of entries.keys()) {
+            if (entries.size < maxKeys) break;
+            entries.delete(key);
+        }
+    };
+
+    // Nothing here awaits, so each call runs as one uninterrupted step
+    return {
+        async attempt(key, rules) {
+            const now = Date.now();
+            let entry = live(key, now);
+            const wait = waitFor(entry, rules, now);
+            if (wait.waitMs > 0) return { ...entry, blocked: true };
+
+            if (!entry) {
+                makeRoom(now);
+                entry = { count: 0, lockedUntil: null, expiresAt: now };
+                entries.set(key, entry);
+            }
+
+            entry.count += 1;
+            entry.lastAt = now;
+            entry.expiresAt = Math.max(entry.expiresAt, now + rules.windowMs);
+            if (entry.count >= rules.lockAfter) {
+                entry.lockedUntil = now + rules.lockMs;
+                entry.expiresAt = Math.max(entry.expiresAt, entry.lockedUntil);
+            }
+
+            return { ...entry, blocked: false };
+        },
+        async forgive(key) {
+            const entry = live(key, Date.now());
+            if (entry && entry.count > 0) entry.count -= 1;
+        },
+        async reset(key) {
+            entries.delete(key);
+        }
+    };
+}
+
+/**
+ * Counters kept in MongoDB (ThrottleEntry). An attempt is one update
+ * pipeline, so concurrent attempts can't both slip past the limits.
+ */
+function mongoStore() {
+    return {
+        attempt(key, rules) {
+            const now = new Date();
+            const nowMs = now.getTime();
+            const delay = {
+                $min: [rules.maxDelayMs, { $multiply: [1000, { $pow: [2, { $subtract: ['$$count', rules.freeFailures] }] }] }]
+            };
+
+            return ThrottleEntry.findOneAndUpdate({ key }, [
+                // A lapsed entry the TTL monitor hasn't removed yet starts again
+                {
+                    $set: {
+                        live: { $gt: [{ $ifNull: ['$expiresAt', now] }, now] }
+                    }
+                },
+                {
+                    $set: {
+                        count: { $cond: ['$live', '$count', 0] },
+                        lockedUntil: { $cond: ['$live', '$lockedUntil', null] },
+                        lastAt: { $cond: ['$live', '$lastAt', now] },
+                        expiresAt: { $cond: ['$live', '$expiresAt', now] }
+                    }
+                },
+                {
+                    $set: {
+                        blocked: {
+                            $let: {
+                                vars: { count: '$count' },
+                                in: {
+                                    $or: [
+                                        { $gt: [{ $ifNull: ['$lockedUntil', new Date(0)] }, now] },
+                                        {
+                                            $and: [
+                                                { $gte: ['$$count', rules.freeFailures] },
+                                                { $gt: [{ $add: ['$lastAt', delay] }, now] }
+                                            ]
+                                        }
+                                    ]
+                                }
+                            }
+                        }
+                    }
+                },
+                {
+                    $set: {
+                        count: { $cond: ['$blocked', '$count', { $add: ['$count', 1] }] },
+                        lastAt: { $cond: ['$blocked', '$lastAt', now] }
+                    }
+                },
+                {
+                    $set: {
+                        lockedUntil: {
+                            $cond: [
+                                { $and: [{ $not: ['$blocked'] }, { $gte: ['$count', rules.lockAfter] }] },
+                                new Date(nowMs + rules.lockMs),
+                                '$lockedUntil'
+                            ]
+                        }
+                    }
+                },
+                {
+                    $set: {
+                        expiresAt: {
+                            $cond: [
+                                '$blocked',
+                                '$expiresAt',
+                                { $max: ['$expiresAt', new Date(nowMs + rules.windowMs), { $ifNull: ['$lockedUntil', now] }] }
+                            ]
+                        }
+                    }
+                },
+                { $unset: 'live' }
+            ], { upsert: true, new: true }).lean();
+        },
+        async forgive(key) {
+            await ThrottleEntry.updateOne({ key, count: { $gt: 0 } }, { $inc: { count: -1 } });
+        },
+        async reset(key) {
+            await ThrottleEntry.deleteOne({ key });
+        }
+    };
+}
+
+// The store named by LOGIN_THROTTLE_STORE ("memory" or "mongo"), by default
+// Mongo in production and memory elsewhere
+function storeFromEnv() {
+    const name = process.env.LOGIN_THROTTLE_STORE
+        || (process.env.NODE_ENV === 'production' ? 'mongo' : 'memory');
+
+    return name === 'mongo' ? mongoStore() : memoryStore();
+}
+
+let store = storeFromEnv();
+
+/**
+ * Plug in the store attempt counters are kept in
+ */
+function setStore(nextStore) {
+    for (const method of ['attempt', 'forgive', 'reset']) {
+        if (!nextStore || typeof nextStore[method] !== 'function') {
+            throw new Error(`A throttle store needs a ${method}() method`);
+        }
+    }
+
+    store = nextStore;
+}
+
+const accountKey = (email) => `account:${String(email).toLowerCase().trim()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const ACCOUNT_RULES = {
+    windowMs: POLICY.windowMs,
+    freeFailures: POLICY.freeFailures,
+    maxDelayMs: POLICY.maxDelayMs,
+    lockAfter: POLICY.accountLockAfter,
+    lockMs: POLICY.lockMs
+};
+const IP_RULES = { ...ACCOUNT_RULES, lockAfter: POLICY.ipLockAfter };
+
+// Allow a number of attempts an hour, then refuse the rest of the hour
+const hourlyRules = (count) => ({
+    windowMs: 60 * MINUTE,
+    freeFailures: count,
+    maxDelayMs: 0,
+    lockAfter: count,
+    lockMs: 60 * MINUTE
+});
+const REGISTRATION_RULES = hourlyRules(POLICY.registrationsPerHour);
+const EMAIL_ADDRESS_RULES = hourlyRules(POLICY.emailsPerAddressPerHour);
+const EMAIL_IP_RULES = hourlyRules(POLICY.emailsPerIpPerHour);
+
+/**
+ * Count an attempt against a key under the rules, in one step with the
+ * decision. Returns { allowed: true, locked } (locked: this attempt used up
+ * the last one before the lock), or { allowed: false, locked, retryAfter }
+ * with the seconds to wait.
+ */
+async function attempt(key, rules) {
+    const entry = await store.attempt(key, rules);
+
+    if (!entry.blocked) {
+        return { allowed: true, locked: waitFor(entry, rules, Date.now()).locked };
+    }
+
+    const wait = waitFor(entry, rules, Date.now());
+    return { allowed: false, locked: wait.locked, retryAfter: Math.max(1, Math.ceil(wait.waitMs / 1000)) };
+}
+
+/**
+ * Count a login attempt for the email from the IP address before the
+ * password is checked, so parallel guesses can't all pass the limits. A
+ * correct password takes the attempt back (see loginSucceeded).
+ */
+async function beginLogin(email, ip) {
+    const address = await attempt(ipKey(ip), IP_RULES);
+    if (!address.allowed) return address;
+
+    const account = await attempt(accountKey(email), ACCOUNT_RULES);
+    return account.allowed
+        ? { allowed: true, locked: account.locked || address.locked }
+        : account;
+}
+
+/**
+ * The password was right: clear the account's failures and take back the
+ * attempt counted for the IP address. The address keeps its other failures,
+ * so one known password doesn't wipe out guesses at other accounts.
+ */
+function loginSucceeded(email, ip) {
+    return Promise.all([store.reset(accountKey(email)), store.forgive(ipKey(ip))]);
+}
+
+/**
+ * Check a signed-in user's password again (to change it or close the
+ * account) under the same limits as login, so a stolen access token can't be
+ * used to guess it. Returns { allowed: true, match } or, when throttled,
+ * { allowed: false, locked, retryAfter }.
+ */
+async function confirmPassword(user, password, ip) {
+    const throttle = await beginLogin(user.email, ip);
+    if (!throttle.allowed) return throttle;
+
+    const match = typeof password === 'string' && await user.comparePassword(password);
+    if (match) await loginSucceeded(user.email, ip);
+
+    return { allowed: true, match };
+}
+
+/**
+ * Clear an account's failures, e.g. once its password was reset
+ */
+function clearLoginFailures(email) {
+    return store.reset(accountKey(email));
+}
+
+/**
+ * Count a sign-up from the IP address. Returns the seconds to wait when it
+ * is over the hourly limit, or 0 when it may go ahead.
+ */
+async function checkRegistration(ip) {
+    const result = await attempt(`register:${ip}`, REGISTRATION_RULES);
+    return result.allowed ? 0 : result.retryAfter;
+}
+
+/**
+ * Count a request that sends email to an address (a password reset or a
+ * verification link) from the IP address. Returns the seconds to wait when
+ * either is over its hourly limit, or 0 when it may go ahead.
+ */
+async function checkEmailRequest(email, ip) {
+    const address = await attempt(`mail-ip:${ip}`, EMAIL_IP_RULES);
+    if (!address.allowed) return address.retryAfter;
+
+    const mailbox = await attempt(`mail:${String(email).toLowerCase().trim()}`, EMAIL_ADDRESS_RULES);
+    return mailbox.allowed ? 0 : mailbox.retryAfter;
+}
+
+/**
+ * Add a login attempt to the audit log. A failure to write it is logged, not
+ * passed on, so it never blocks a login.
+ */
+async function auditLoginAttempt(req, { email, userId = null, success, reason }) {
+    try {
+        await LoginAttempt.create({
+            email: typeof email === 'string' ? email : '',
+            userId,
+            ip: req.ip || '',
+            userAgent: (req.get('User-Agent') || '').slice(0, 300),
+            success,
+            reason
+        });
+    } catch (error) {
+        console.error('Login audit error:', error);
+    }
+}
+
+module.exports = {
+    POLICY,
+    memoryStore,
+    mongoStore,
+    setStore,
+    beginLogin,
+    loginSucceeded,
+    confirmPassword,
+    clearLoginFailures,
+    checkRegistration,
+    checkEmailRequest,
+    auditLoginAttempt
+};
@@ -0,0 +1,102 @@
+/**
+ * Mailer
+ * Sends email through a pluggable transport: any object with an async
+ * send({ to, subject, text }) method. The console and file transports are
+ * for local development and tests; a real transport (SMTP, an email API) is
+ * plugged in with setTransport.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const FROM_ADDRESS = process.env.MAIL_FROM || 'StudyMate AI <no-reply@studymate.local>';
+
+/**
+ * Prints each email to the server log
+ */
+function consoleTransport() {
+    return {
+        async send(message) {
+            console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+        }
+    };
+}
+
+/**
+ * Writes each email to a JSON file in a directory, e.g. for tests to read
+ */
+function fileTransport(directory) {
+    return {
+        async send(message) {
+            await fs.mkdir(directory, { recursive: true });
+            const name = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+            await fs.writeFile(path.join(directory, name), JSON.stringify(message, null, 2));
+        }
+    };
+}
+
+// Transports MAIL_TRANSPORT can name
+const TRANSPORTS = {
+    console: () => consoleTransport(),
+    file: () => fileTransport(process.env.MAIL_DIR || path.join(process.cwd(), 'mail'))
+};
+
+/**
+ * The transport named by MAIL_TRANSPORT ("console" by default, or "file",
+ * writing to MAIL_DIR), or null for a name no transport has
+ */
+function transportFromEnv() {
+    const create = TRANSPORTS[process.env.MAIL_TRANSPORT || 'console'];
+    return create ? create() : null;
+}
+
+let transport = transportFromEnv();
+let plugged = false;
+
+/**
+ * Plug in the transport all email goes through
+ */
+function setTransport(nextTransport) {
+    if (!nextTransport || typeof nextTransport.send !== 'function') {
+        throw new Error('A mail transport needs a send(message) method');
+    }
+
+    transport = nextTransport;
+    plugged = true;
+}
+
+/**
+ * Why the server can't send email safely, or null when it can. MAIL_TRANSPORT
+ * has to name a known transport, and production can't use the console one,
+ * which would print password reset links to the log, unless a real transport
+ * was plugged in with setTransport.
+ */
+function mailSetupError() {
+    if (plugged) return null;
+
+    const name = process.env.MAIL_TRANSPORT;
+    if (name && !TRANSPORTS[name]) {
+        return `Unknown MAIL_TRANSPORT "${name}" (use ${Object.keys(TRANSPORTS).join(' or ')}, or plug one in with setTransport)`;
+    }
+    if (process.env.NODE_ENV === 'production' && (name || 'console') === 'console') {
+        return 'Production needs MAIL_TRANSPORT=file or a transport plugged in with setTransport';
+    }
+
+    return null;
+}
+
+/**
+ * Send an email through the current transport
+ */
+async function sendMail({ to, subject, text }) {
+    if (!transport) throw new Error(mailSetupError());
+    await transport.send({ from: FROM_ADDRESS, to, subject, text });
+}
+
+module.exports = {
+    consoleTransport,
+    fileTransport,
+    mailSetupError,
+    setTransport,
+    sendMail
+};
@@ -0,0 +1,374 @@
+/**
+ * Missed sessions
+ * Finds study sessions whose time has passed without being completed, marks
+ * them as missed and makes up their minutes in free time later in the week,
+ * highest priority subject first. Every run is stored as a Reschedule so the
+ * user can see what moved where and undo it.
+ */
+
+const mongoose = require('mongoose');
+const Timetable = require('../models/Timetable');
+const Subject = require('../models/Subject');
+const User = require('../models/User');
+const Reschedule = require('../models/Reschedule');
+const { buildDayWindows, calculatePriority, DAYS } = require('./timetableGenerator');
+const { MIN_SESSION_MINUTES, getSessionBounds, setTiming, retimeBreaks } = require('./sessionEditor');
+const { today, dateInTimezone, addDays, startOfWeek, getDayIndex, minutesIntoDay } = require('./dateUtils');
+const { saveVersion } = require('./timetableVersions');
+const { refreshSubjectPlan } = require('./subjectProgress');
+
+// How far back missed sessions are picked up (older ones are left as history)
+const LOOKBACK_DAYS = 7;
+const DEFAULT_CHECK_MINUTES = 60;
+
+/**
+ * Minutes after midnight of the current time in the user's timezone, rounded up to 5 minutes
+ */
+function minutesFromMidnight(now, timeZone) {
+    return Math.ceil(minutesIntoDay(now, timeZone) / 5) * 5;
+}
+
+/**
+ * Whether a study session on the given day has ended without being completed
+ */
+function isMissed(session, date, todayDate, nowMinutes) {
+    if (session.type !== 'study' || session.completed || session.missed || session.missedUndone) {
+        return false;
+    }
+    if (date < todayDate) return true;
+
+    return date.getTime() === todayDate.getTime() && getSessionBounds(session).end <= nowMinutes;
+}
+
+/**
+ * Split each subject's missed minutes into session-sized chunks, highest
+ * priority subject first. Each chunk keeps the topic of the missed session it starts in.
+ */
+function buildMakeUpChunks(missed, subjects, sessionDuration, referenceDate) {
+    const bySubject = new Map();
+
+    missed.forEach(({ session }) => {
+        const key = String(session.subjectId);
+        bySubject.set(key, [...(bySubject.get(key) || []), session]);
+    });
+
+    const ranked = subjects
+        .filter(subject => bySubject.has(String(subject._id)))
+        .map(subject => ({ subject, priority: calculatePriority(subject, referenceDate) }))
+        .sort((a, b) => b.priority - a.priority);
+
+    return ranked.flatMap(({ subject }) => {
+        const sessions = bySubject.get(String(subject._id));
+        const chunks = [];
+        let index = 0;
+        let usedOfSession = 0;
+        let remaining = sessions.reduce((acc, session) => acc + session.duration, 0);
+
+        while (remaining > 0) {
+            // A remainder shorter than half a session is added to the last chunk
+            let minutes = Math.min(sessionDuration, remaining);
+            if (remaining - minutes < Math.max(MIN_SESSION_MINUTES, sessionDuration / 2)) minutes = remaining;
+
+            const source = sessions[index];
+            chunks.push({
+                subject,
+                minutes,
+                topicId: source.topicId || null,
+                topic: source.topic || null,
+                rescheduledFrom: source._id
+            });
+
+            remaining -= minutes;
+            usedOfSession += minutes;
+            while (index < sessions.length - 1 && usedOfSession >= sessions[index].duration) {
+                usedOfSession -= sessions[index].duration;
+                index++;
+            }
+        }
+
+        return chunks;
+    });
+}
+
+/**
+ * Earliest start inside the windows (not before notBefore) where a session of
+ * the given length fits with a break on either side of the planned sessions
+ */
+function findFreeStart(sessions, windows, duration, breakDuration, notBefore = 0) {
+    const occupied = sessions
+        .filter(session => session.type !== 'break')
+        .map(getSessionBounds)
+        .sort((a, b) => a.start - b.start);
+
+    for (const window of windows) {
+        let cursor = Math.max(window.start, notBefore);
+
+        for (const slot of occupied) {
+            if (cursor + duration > window.end) break;
+            if (cursor + duration + breakDuration <= slot.start) return cursor;
+            cursor = Math.max(cursor, slot.end + breakDuration);
+        }
+
+        if (cursor + duration <= window.end) return cursor;
+    }
+
+    return null;
+}
+
+/**
+ * Place make-up chunks on the given days (each { date, sessions } with plain
+ * session objects), spreading them onto the day with the most study time left.
+ * Returns { moved, unplaced }; moved sessions are added to their day's sessions.
+ */
+function placeMakeUpChunks(chunks, days, preferences, { todayDate, nowMinutes }) {
+    const { dailyHours = 4, breakDuration = 5, availability = [] } = preferences;
+    const dayWindows = buildDayWindows(availability);
+    const dailyMinutes = dailyHours * 60;
+
+    const plannedMinutes = (day) => day.sessions
+        .filter(session => session.type !== 'break' && !session.missed)
+        .reduce((acc, session) => acc + session.duration, 0);
+
+    const moved = [];
+    const unplaced = [];
+
+    chunks.forEach(chunk => {
+        let best = null;
+
+        days.forEach(day => {
+            const spare = dailyMinutes - plannedMinutes(day);
+            if (spare < chunk.minutes || (best && spare <= best.spare)) return;
+
+            const notBefore = day.date.getTime() === todayDate.getTime() ? nowMinutes : 0;
+            const start = findFreeStart(
+                day.sessions,
+                dayWindows[getDayIndex(day.date)] || [],
+                chunk.minutes,
+                breakDuration,
+                notBefore
+            );
+            if (start !== null) best = { day, start, spare };
+        });
+
+        if (!best) {
+            unplaced.push(chunk);
+            return;
+        }
+
+        const session = setTiming({
+            _id: new mongoose.Types.ObjectId(),
+            subject: chunk.subject.name,
+            subjectId: chunk.subject._id,
+            topicId: chunk.topicId,
+            topic: chunk.topic,
+            type: 'study',
+            completed: false,
+            rescheduledFrom: chunk.rescheduledFrom,
+            color: chunk.subject.color
+        }, best.start, chunk.minutes);
+
+        best.day.sessions.push(session);
+        moved.push({ date: best.day.date, session });
+    });
+
+    return { moved, unplaced };
+}
+
+/**
+ * Mark a user's missed study sessions and move their minutes into free time
+ * from now until the end of the week. Returns the saved Reschedule, or null
+ * when nothing was missed.
+ */
+async function rescheduleMissedSessions(userId, { now = new Date(), trigger = 'manual' } = {}) {
+    const user = await User.findById(userId);
+    if (!user) return null;
+
+    // "Now" is the user's own day and time of day
+    const todayDate = dateInTimezone(now, user.preferences.timezone);
+    const nowMinutes = minutesFromMidnight(now, user.preferences.timezone);
+    const weekEnd = addDays(startOfWeek(todayDate), 6);
+
+    const [subjects, timetables] = await Promise.all([
+        Subject.find({ userId }),
+        Timetable.find({
+            userId,
+            date: { $gte: addDays(todayDate, -LOOKBACK_DAYS), $lte: weekEnd }
+        }).sort({ date: 1 })
+    ]);
+
+    const missed = [];
+    timetables.forEach(timetable => {
+        timetable.sessions.forEach(session => {
+            if (isMissed(session, timetable.date, todayDate, nowMinutes)) {
+                session.missed = true;
+                missed.push({ timetable, session });
+            }
+        });
+    });
+
+    if (missed.length === 0) return null;
+
+    // Editable copies of the days from today to the end of the week, with empty days filled in
+    const upcoming = [];
+    for (let date = todayDate; date <= weekEnd; date = addDays(date, 1)) {
+        const timetable = timetables.find(t => t.date.getTime() === date.getTime()) || null;
+        upcoming.push({
+            date,
+            timetable,
+            sessions: timetable ? timetable.sessions.filter(s => s.type !== 'break').map(s => s.toObject()) : []
+        });
+    }
+
+    const { sessionDuration = 25, breakDuration = 5 } = user.preferences;
+    const chunks = buildMakeUpChunks(missed, subjects.filter(s => s.isActive), sessionDuration, todayDate);
+    const { moved, unplaced } = placeMakeUpChunks(chunks, upcoming, user.preferences, { todayDate, nowMinutes });
+
+    // Save the days that gained sessions (with re-timed breaks), then the ones that only had misses
+    const saved = new Set();
+    for (const day of upcoming) {
+        if (!moved.some(entry => entry.date === day.date)) continue;
+
+        const dayOfWeek = getDayIndex(day.date);
+        const timetable = day.timetable ||
+            new Timetable({ userId, date: day.date, dayOfWeek, dayName: DAYS[dayOfWeek], sessions: [] });
+        timetable.sessions = retimeBreaks(day.sessions, breakDuration);
+        await timetable.save();
+        saved.add(timetable);
+    }
+    for (const { timetable } of missed) {
+        if (saved.has(timetable)) continue;
+        await timetable.save();
+        saved.add(timetable);
+    }
+
+    await refreshSubjectPlan(userId, [...missed, ...moved].map(({ session }) => session.subjectId));
+
+    const unplacedBySubject = new Map();
+    unplaced.forEach(chunk => {
+        const key = String(chunk.subject._id);
+        const entry = unplacedBySubject.get(key) ||
+            { subjectId: chunk.subject._id, subject: chunk.subject.name, minutes: 0 };
+        entry.minutes += chunk.minutes;
+        unplacedBySubject.set(key, entry);
+    });
+
+    await saveVersion(userId, 'reschedule',
+        `Rescheduled ${missed.length} missed session(s)${trigger === 'scheduled' ? ' automatically' : ''}`);
+
+    return Reschedule.create({
+        userId,
+        trigger,
+        missed: missed.map(({ timetable, session }) => ({
+            date: timetable.date,
+            sessionId: session._id,
+            subjectId: session.subjectId,
+            subject: session.subject,
+            startTime: session.startTime,
+            minutes: session.duration
+        })),
+        moved: moved.map(({ date, session }) => ({
+            date,
+            sessionId: session._id,
+            subjectId: session.subjectId,
+            subject: session.subject,
+            topic: session.topic,
+            startTime: session.startTime,
+            endTime: session.endTime,
+            minutes: session.duration
+        })),
+        unplaced: [...unplacedBySubject.values()]
+    });
+}
+
+/**
+ * Undo a reschedule: remove the make-up sessions that were not completed yet and
+ * restore the missed sessions, which the detector then leaves alone.
+ * Returns the number of make-up sessions kept because they were already completed.
+ */
+async function undoReschedule(reschedule) {
+    const { userId } = reschedule;
+    const user = await User.findById(userId);
+    const breakDuration = user ? user.preferences.breakDuration : 5;
+    const dates = [...reschedule.missed, ...reschedule.moved].map(entry => entry.date);
+    const timetables = await Timetable.find({ userId, date: { $in: dates } });
+    const findDay = (date) => timetables.find(t => t.date.getTime() === new Date(date).getTime());
+
+    const touched = new Set();
+    let keptCompleted = 0;
+
+    reschedule.moved.forEach(entry => {
+        const timetable = findDay(entry.date);
+        const session = timetable ? timetable.sessions.id(entry.sessionId) : null;
+        if (!session) return;
+
+        if (session.completed) {
+            keptCompleted++;
+            return;
+        }
+
+        timetable.sessions = retimeBreaks(
+            timetable.sessions
+                .filter(s => s.type !== 'break' && String(s._id) !== String(entry.sessionId))
+                .map(s => s.toObject()),
+            breakDuration
+        );
+        touched.add(timetable);
+    });
+
+    reschedule.missed.forEach(entry => {
+        const timetable = findDay(entry.date);
+        const session = timetable ? timetable.sessions.id(entry.sessionId) : null;
+        if (!session || !session.missed) return;
+
+        session.missed = false;
+        session.missedUndone = true;
+        touched.add(timetable);
+    });
+
+    for (const timetable of touched) {
+        await timetable.save();
+    }
+    await refreshSubjectPlan(userId, [...reschedule.missed, ...reschedule.moved].map(entry => entry.subjectId));
+
+    reschedule.undoneAt = new Date();
+    await reschedule.save();
+    await saveVersion(userId, 'undo-reschedule', `Undid the reschedule of ${reschedule.missed.length} missed session(s)`);
+
+    return keptCompleted;
+}
+
+/**
+ * Check every user with unfinished study sessions for missed ones on an
+ * interval (MISSED_SESSION_CHECK_MINUTES, 0 turns it off). Returns the timer or null.
+ */
+function startMissedSessionJob(intervalMinutes = DEFAULT_CHECK_MINUTES) {
+    if (!intervalMinutes || intervalMinutes <= 0) return null;
+
+    const run = async () => {
+        try {
+            // A day either side of the server's date covers every user's timezone
+            const userIds = await Timetable.distinct('userId', {
+                date: { $gte: addDays(today(), -LOOKBACK_DAYS - 1), $lte: addDays(today(), 1) },
+                sessions: {
+                    $elemMatch: { type: 'study', completed: false, missed: { $ne: true }, missedUndone: { $ne: true } }
+                }
+            });
+
+            for (const userId of userIds) {
+                await rescheduleMissedSessions(userId, { trigger: 'scheduled' });
+            }
+        } catch (error) {
+            console.error('Missed session check error:', error);
+        }
+    };
+
+    const timer = setInterval(run, intervalMinutes * 60 * 1000);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    rescheduleMissedSessions,
+    undoReschedule,
+    startMissedSessionJob
+};
@@ -10,12 +10,49 @@ const userRoutes = require('./routes/user.routes');
 const subjectRoutes = require('./routes/subject.routes');
 const timetableRoutes = require('./routes/timetable.routes');
 const statsRoutes = require('./routes/stats.routes');
+const focusRoutes = require('./routes/focus.routes');
+const analyticsRoutes = require('./routes/analytics.routes');
+const goalRoutes = require('./routes/goals.routes');
+const Timetable = require('./models/Timetable');
+const { startMissedSessionJob } = require('./utils/missedSessions');
+const { migrateStudyLog, migrateStudyDays } = require('./utils/studyRecorder');
+const { hasJwtSecret } = require('./utils/tokens');
+const { mailSetupError } = require('./utils/mailer');
+const { hasAppUrl } = require('./utils/accountEmails');
+
+// Tokens signed with a secret anyone can read could be forged
+if (!hasJwtSecret()) {
+    console.error('❌ JWT_SECRET must be set in production. Refusing to start.');
+    process.exit(1);
+}
+if (!process.env.JWT_SECRET) {
+    console.warn('⚠️  JWT_SECRET is not set; using a development-only secret');
+}
+
+// Emailed links are built from APP_URL, never from the request's Host header
+if (!hasAppUrl()) {
+    console.error('❌ APP_URL must be set in production. Refusing to start.');
+    process.exit(1);
+}
+
+// Password reset and verification links must go out by email, not to the server log
+const mailError = mailSetupError();
+if (mailError) {
+    console.error(`❌ ${mailError}. Refusing to start.`);
+    process.exit(1);
+}
 
 const app = express();
 
+// Behind a reverse proxy, take the client IP (used to throttle logins) from
+// X-Forwarded-For, trusting this many proxy hops
+if (process.env.TRUST_PROXY_HOPS) {
+    app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS));
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '5mb' })); // room for data imports
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files from public directory
@@ -27,6 +64,9 @@ app.use('/api/users', userRoutes);
 app.use('/api/subjects', subjectRoutes);
 app.use('/api/timetable', timetableRoutes);
 app.use('/api/stats', statsRoutes);
+app.use('/api/focus', focusRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/goals', goalRoutes);
 
 // Serve index.html for root route
 app.get('/', (req, res) => {
@@ -37,8 +77,33 @@ app.get('/', (req, res) => {
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/studymate';
 
 mongoose.connect(MONGODB_URI)
-    .then(() => {
+    .then(async () => {
         console.log('✅ Connected to MongoDB successfully');
+
+        // Move week-based timetables onto calendar dates, then drop the old userId+dayOfWeek index
+        const migrated = await Timetable.migrateLegacyWeeks();
+        if (migrated > 0) {
+            console.log(`📅 Migrated ${migrated} timetable days to calendar dates`);
+        }
+        await Timetable.syncIndexes();
+
+        // Study counted before the study log existed becomes log records, so totals can be derived from it
+        const logged = await migrateStudyLog();
+        if (logged > 0) {
+            console.log(`📈 Moved study history of ${logged} users into the study log`);
+        }
+
+        // Study days stored at server-local midnight move onto each user's own calendar days
+        const redated = await migrateStudyDays();
+        if (redated > 0) {
+            console.log(`🌍 Moved study days of ${redated} users onto their timezone`);
+        }
+
+        // Periodically mark missed sessions and move their minutes later in the week
+        const checkMinutes = parseInt(process.env.MISSED_SESSION_CHECK_MINUTES ?? '60');
+        if (startMissedSessionJob(checkMinutes)) {
+            console.log(`⏰ Checking for missed sessions every ${checkMinutes} minutes`);
+        }
     })
     .catch((err) => {
         console.error('❌ MongoDB connection error:', err.message);
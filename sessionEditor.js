@@ -0,0 +1,132 @@
+/**
+ * Session editing
+ * Helpers for manual changes to a day's sessions: parsing the requested
+ * times, catching overlaps between study and review sessions, and
+ * re-timing breaks, which are always rebuilt from the gaps between them.
+ */
+
+const { parseTime, parseClockTime, formatTime, addMinutes } = require('./timetableGenerator');
+
+const MIN_SESSION_MINUTES = 5;
+const MAX_SESSION_MINUTES = 240;
+const END_OF_DAY = 24 * 60;
+
+/**
+ * Parse "HH:MM" (24-hour) or "h:mm AM/PM" into minutes after midnight, or null
+ */
+function toMinutes(time) {
+    const clock = parseClockTime(time);
+    if (clock !== null) return clock;
+
+    const parsed = parseTime(time);
+    return parsed ? parsed.hours * 60 + parsed.minutes : null;
+}
+
+/**
+ * Minutes after midnight for a session's start and end
+ */
+function getSessionBounds(session) {
+    const start = toMinutes(session.startTime);
+    let end = toMinutes(session.endTime);
+
+    // A session ending at midnight wraps to 0
+    if (end <= start) end += END_OF_DAY;
+
+    return { start, end, type: session.type };
+}
+
+/**
+ * Validate a session length in minutes; returns an error message or null
+ */
+function validateDuration(duration) {
+    if (!Number.isInteger(duration) || duration < MIN_SESSION_MINUTES || duration > MAX_SESSION_MINUTES) {
+        return `Duration must be a whole number of minutes between ${MIN_SESSION_MINUTES} and ${MAX_SESSION_MINUTES}`;
+    }
+    return null;
+}
+
+/**
+ * Set a session's start, end and duration
+ */
+function setTiming(session, startMinutes, duration) {
+    const start = addMinutes(0, 0, startMinutes);
+    const end = addMinutes(0, 0, startMinutes + duration);
+
+    session.startTime = formatTime(start.hours, start.minutes);
+    session.endTime = formatTime(end.hours, end.minutes);
+    session.duration = duration;
+
+    return session;
+}
+
+/**
+ * Check a day's study and review sessions (breaks are ignored) fit inside the
+ * day without overlapping. Returns an error message or null.
+ */
+function findConflict(sessions) {
+    const ranges = sessions
+        .filter(session => session.type !== 'break')
+        .map(session => ({ session, ...getSessionBounds(session) }))
+        .sort((a, b) => a.start - b.start);
+
+    for (let i = 0; i < ranges.length; i++) {
+        if (ranges[i].end > END_OF_DAY) {
+            return `${ranges[i].session.subject} would run past midnight`;
+        }
+        if (i > 0 && ranges[i].start < ranges[i - 1].end) {
+            return `${ranges[i].session.subject} at ${ranges[i].session.startTime} would overlap ` +
+                `${ranges[i - 1].session.subject} at ${ranges[i - 1].session.startTime}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Drop the day's breaks and rebuild them: a break of up to breakDuration
+ * minutes fills the gap after each session that is followed by another one
+ */
+function retimeBreaks(sessions, breakDuration) {
+    const activities = sessions
+        .filter(session => session.type !== 'break')
+        .sort((a, b) => getSessionBounds(a).start - getSessionBounds(b).start);
+    const result = [];
+
+    activities.forEach((session, index) => {
+        result.push(session);
+
+        const next = activities[index + 1];
+        if (!next) return;
+
+        const gapStart = getSessionBounds(session).end;
+        const gap = getSessionBounds(next).start - gapStart;
+        if (gap <= 0) return;
+
+        const length = Math.min(gap, breakDuration);
+        const from = addMinutes(0, 0, gapStart);
+        const to = addMinutes(0, 0, gapStart + length);
+
+        result.push({
+            subject: 'Break',
+            subjectId: null,
+            startTime: formatTime(from.hours, from.minutes),
+            endTime: formatTime(to.hours, to.minutes),
+            duration: length,
+            type: 'break',
+            completed: false,
+            color: '#9CA3AF'
+        });
+    });
+
+    return result;
+}
+
+module.exports = {
+    MIN_SESSION_MINUTES,
+    toMinutes,
+    getSessionBounds,
+    validateDuration,
+    setTiming,
+    findConflict,
+    retimeBreaks
+};
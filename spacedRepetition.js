@@ -0,0 +1,269 @@
+/**
+ * Spaced repetition
+ * SM-2 style review scheduling for syllabus topics. Studying a topic starts
+ * its review cycle, each rated review moves the next one further out (or
+ * back to tomorrow when recall failed), and due reviews are woven into
+ * planned days as short 'review' sessions.
+ */
+
+const { buildDayWindows, formatTime, addMinutes } = require('./timetableGenerator');
+const { addDays } = require('./dateUtils');
+const { getSessionBounds } = require('./sessionEditor');
+
+const REVIEW_MINUTES = 10;
+const MAX_REVIEWS_PER_DAY = 4;
+
+// SM-2 parameters
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const FIRST_INTERVALS = [1, 6]; // days after the 1st and 2nd successful repetition
+
+// Recall ratings map onto SM-2 quality (0-5); below 3 counts as forgotten
+const RECALL_RATINGS = {
+    again: 1,
+    hard: 3,
+    good: 4,
+    easy: 5
+};
+
+// Future reviews are projected assuming the user keeps recalling well
+const PROJECTED_QUALITY = RECALL_RATINGS.good;
+
+/**
+ * Turn a rating name or a 0-5 number into SM-2 quality, or null if invalid
+ */
+function parseRecall(value) {
+    if (typeof value === 'string' && RECALL_RATINGS[value.toLowerCase()] !== undefined) {
+        return RECALL_RATINGS[value.toLowerCase()];
+    }
+
+    const quality = Number(value);
+    if (value === null || value === '' || !Number.isInteger(quality) || quality < 0 || quality > 5) {
+        return null;
+    }
+
+    return quality;
+}
+
+/**
+ * Apply one SM-2 repetition with the given quality to a review state
+ */
+function nextReviewState(state, quality) {
+    let { easeFactor = DEFAULT_EASE, intervalDays = 0, repetitions = 0 } = state;
+
+    if (quality < 3) {
+        repetitions = 0;
+        intervalDays = FIRST_INTERVALS[0];
+    } else {
+        repetitions += 1;
+        intervalDays = repetitions <= FIRST_INTERVALS.length
+            ? FIRST_INTERVALS[repetitions - 1]
+            : Math.round(intervalDays * easeFactor);
+    }
+
+    const penalty = 5 - quality;
+    easeFactor = Math.max(MIN_EASE, easeFactor + (0.1 - penalty * (0.08 + penalty * 0.02)));
+
+    return {
+        easeFactor: Math.round(easeFactor * 100) / 100,
+        intervalDays,
+        repetitions
+    };
+}
+
+/**
+ * Start (or restart) a topic's review cycle after a study session on it.
+ * Returns the topic, or null if the subject has no such topic.
+ */
+function markTopicStudied(subject, topicId, studiedOn) {
+    const topic = topicId ? subject.topics.id(topicId) : null;
+    if (!topic) return null;
+
+    if (topic.status === 'not-started') {
+        topic.status = 'in-progress';
+    }
+
+    // Studying counts as the first repetition; an already running cycle is left alone
+    if (!topic.nextReviewDate) {
+        topic.repetitions = 1;
+        topic.intervalDays = FIRST_INTERVALS[0];
+        topic.nextReviewDate = addDays(studiedOn, FIRST_INTERVALS[0]);
+    }
+
+    return topic;
+}
+
+/**
+ * Record a rated review of a topic and schedule the next one
+ */
+function recordReview(topic, quality, reviewedOn) {
+    const next = nextReviewState(topic, quality);
+
+    topic.easeFactor = next.easeFactor;
+    topic.intervalDays = next.intervalDays;
+    topic.repetitions = next.repetitions;
+    topic.lastReviewedAt = new Date();
+    topic.nextReviewDate = addDays(reviewedOn, next.intervalDays);
+
+    return topic;
+}
+
+/**
+ * Project the reviews that fall on the given planned days (sorted by date).
+ * Topics with a running cycle continue it (overdue reviews land on the first
+ * day); topics studied in the plan get a fresh cycle after their last session.
+ */
+function planReviews(subjects, days) {
+    if (days.length === 0) return [];
+
+    const firstDay = days[0].date;
+    const lastDay = days[days.length - 1].date;
+    const lastStudied = new Map();
+
+    days.forEach(day => {
+        day.sessions
+            .filter(session => session.type === 'study' && session.topicId)
+            .forEach(session => lastStudied.set(String(session.topicId), day.date));
+    });
+
+    const reviews = [];
+
+    subjects.forEach(subject => {
+        (subject.topics || []).forEach(topic => {
+            let state = {
+                easeFactor: topic.easeFactor,
+                intervalDays: topic.intervalDays,
+                repetitions: topic.repetitions
+            };
+            let due = topic.nextReviewDate
+                ? new Date(Math.max(new Date(topic.nextReviewDate), firstDay))
+                : null;
+
+            const studiedOn = lastStudied.get(String(topic._id));
+            if (studiedOn) {
+                state = { easeFactor: topic.easeFactor, intervalDays: FIRST_INTERVALS[0], repetitions: 1 };
+                due = addDays(studiedOn, FIRST_INTERVALS[0]);
+            }
+
+            while (due && due <= lastDay) {
+                reviews.push({
+                    subject: subject.name,
+                    subjectId: subject._id,
+                    color: subject.color,
+                    topicId: topic._id,
+                    topic: topic.title,
+                    dueDate: due
+                });
+
+                state = nextReviewState(state, PROJECTED_QUALITY);
+                due = addDays(due, state.intervalDays);
+            }
+        });
+    });
+
+    return reviews.sort((a, b) => a.dueDate - b.dueDate);
+}
+
+/**
+ * Earliest start inside the windows where a review fits without overlapping
+ * anything, leaving a break after a preceding study or review session
+ */
+function findReviewSlot(sessions, windows, breakDuration) {
+    const occupied = sessions.map(getSessionBounds).sort((a, b) => a.start - b.start);
+
+    for (const window of windows) {
+        let cursor = window.start;
+
+        for (const slot of [...occupied, { start: Infinity, end: Infinity }]) {
+            if (slot.end <= cursor) continue;
+
+            const gapEnd = Math.min(slot.start, window.end);
+            if (gapEnd - cursor >= REVIEW_MINUTES) {
+                return cursor;
+            }
+            if (slot.start >= window.end) break;
+
+            cursor = Math.max(cursor, slot.end + (slot.type === 'break' ? 0 : breakDuration));
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Insert due reviews into planned days (sorted by date, each with a date,
+ * dayOfWeek and sessions). Reviews that do not fit roll over to the next day;
+ * the ones still left at the end are returned.
+ */
+function insertReviewSessions(days, reviews, preferences) {
+    const { breakDuration = 5, availability = [] } = preferences;
+    const dayWindows = buildDayWindows(availability);
+    let pending = [];
+    let next = 0;
+
+    days.forEach(day => {
+        while (next < reviews.length && reviews[next].dueDate <= day.date) {
+            const review = reviews[next++];
+            // A topic still waiting for an earlier review only needs that one
+            if (!pending.some(p => String(p.topicId) === String(review.topicId))) {
+                pending.push(review);
+            }
+        }
+
+        const windows = dayWindows[day.dayOfWeek] || [];
+        const carried = [];
+        let placed = 0;
+
+        pending.forEach(review => {
+            const alreadyPlanned = day.sessions.some(
+                session => session.type === 'review' && String(session.topicId) === String(review.topicId)
+            );
+            if (alreadyPlanned) return;
+
+            const start = placed < MAX_REVIEWS_PER_DAY
+                ? findReviewSlot(day.sessions, windows, breakDuration)
+                : null;
+
+            if (start === null) {
+                carried.push(review);
+                return;
+            }
+
+            const from = addMinutes(0, 0, start);
+            const to = addMinutes(0, 0, start + REVIEW_MINUTES);
+
+            day.sessions.push({
+                subject: review.subject,
+                subjectId: review.subjectId,
+                topicId: review.topicId,
+                topic: review.topic,
+                startTime: formatTime(from.hours, from.minutes),
+                endTime: formatTime(to.hours, to.minutes),
+                duration: REVIEW_MINUTES,
+                type: 'review',
+                completed: false,
+                color: review.color
+            });
+            placed++;
+        });
+
+        pending = carried;
+
+        day.sessions.sort((a, b) => getSessionBounds(a).start - getSessionBounds(b).start);
+        day.totalStudyMinutes = day.sessions
+            .filter(s => s.type !== 'break')
+            .reduce((acc, s) => acc + s.duration, 0);
+    });
+
+    return pending;
+}
+
+module.exports = {
+    REVIEW_MINUTES,
+    RECALL_RATINGS,
+    parseRecall,
+    markTopicStudied,
+    recordReview,
+    planReviews,
+    insertReviewSessions
+};
@@ -3,7 +3,11 @@ const User = require('../models/User');
 const Subject = require('../models/Subject');
 const StudyStats = require('../models/StudyStats');
 const Timetable = require('../models/Timetable');
+const StudySession = require('../models/StudySession');
 const { auth } = require('../middleware/auth');
+const { parseDateKey, toDateKey, today, addDays } = require('../utils/dateUtils');
+const { getStreak, getStreakRules, refreshStreak } = require('../utils/streaks');
+const { recordStudySession, voidStudySessions, rebuildStudyAggregates } = require('../utils/studyRecorder');
 
 const router = express.Router();
 
@@ -16,13 +20,13 @@ router.get('/', auth, async (req, res) => {
         const subjects = await Subject.find({ userId: req.userId });
         
         // Get streak
-        const streak = await StudyStats.calculateStreak(req.userId);
+        const { current: streak, longest: longestStreak, freezes: streakFreezes } = await getStreak(user);
         
         // Get today's stats
-        const todayStats = await StudyStats.getTodayStats(req.userId);
+        const todayStats = await StudyStats.getTodayStats(req.userId, user.preferences.timezone);
         
         // Get weekly stats
-        const weeklyStats = await StudyStats.getWeeklyStats(req.userId);
+        const weeklyStats = await StudyStats.getWeeklyStats(req.userId, user.preferences.timezone);
         
         // Calculate weekly totals
         const weeklyTotals = weeklyStats.reduce((acc, day) => ({
@@ -32,24 +36,31 @@ router.get('/', auth, async (req, res) => {
 
         // Get subject-wise progress
         const subjectProgress = subjects.map(subject => ({
+            subjectId: subject._id,
             name: subject.name,
             color: subject.color,
             progress: subject.progress,
             completedSessions: subject.completedSessions,
             totalSessions: subject.totalSessions,
+            studiedMinutes: subject.studiedMinutes,
+            plannedMinutes: subject.plannedMinutes,
             difficulty: subject.difficulty
         }));
 
-        // Calculate overall progress
-        const totalSessions = subjects.reduce((acc, s) => acc + s.totalSessions, 0);
-        const completedSessions = subjects.reduce((acc, s) => acc + s.completedSessions, 0);
-        const overallProgress = totalSessions > 0 ? Math.round((completedSessions / totalSessions) * 100) : 0;
+        // Calculate overall progress from studied against still-planned minutes
+        const studiedMinutes = subjects.reduce((acc, s) => acc + s.studiedMinutes, 0);
+        const plannedMinutes = subjects.reduce((acc, s) => acc + s.plannedMinutes, 0);
+        const overallProgress = studiedMinutes + plannedMinutes > 0
+            ? Math.round((studiedMinutes / (studiedMinutes + plannedMinutes)) * 100)
+            : 0;
 
         res.json({
             success: true,
             data: {
                 overview: {
                     streak,
+                    longestStreak,
+                    streakFreezes,
                     totalSubjects: subjects.length,
                     totalCompletedSessions: user.statistics.completedSessions,
                     totalStudyMinutes: user.statistics.totalStudyMinutes,
@@ -77,78 +88,335 @@ router.get('/', auth, async (req, res) => {
     }
 });
 
+// Parse an optional timestamp from the request body; undefined if absent, null if invalid
+const parseTimestamp = (value) => {
+    if (value === undefined || value === null || value === '') return undefined;
+    const time = new Date(value);
+    return isNaN(time.getTime()) ? null : time;
+};
+
 // @route   POST /api/stats/session
-// @desc    Record a completed session
+// @desc    Record a completed session in the study log
+//          ({ subjectId, subjectName, duration, startedAt, endedAt, notes })
 // @access  Private
 router.post('/session', auth, async (req, res) => {
     try {
-        const { subjectId, subjectName, duration } = req.body;
+        const { subjectId, notes } = req.body;
+        const duration = Number(req.body.duration);
 
-        if (!duration) {
+        if (!duration || duration <= 0) {
             return res.status(400).json({
                 success: false,
                 message: 'Duration is required'
             });
         }
 
-        // Update user statistics
+        const startedAt = parseTimestamp(req.body.startedAt);
+        const endedAt = parseTimestamp(req.body.endedAt);
+        if (startedAt === null || endedAt === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'startedAt and endedAt must be valid dates'
+            });
+        }
+
+        let subjectName = req.body.subjectName || '';
+        if (subjectId) {
+            const subject = await Subject.findOne({ _id: subjectId, userId: req.userId });
+            if (!subject) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Subject not found'
+                });
+            }
+            subjectName = subject.name;
+        }
+
+        const { studySession, userStats, todayStats } = await recordStudySession({
+            userId: req.userId,
+            subjectId: subjectId || null,
+            subjectName,
+            source: 'manual',
+            startedAt,
+            endedAt: endedAt || new Date(),
+            minutes: duration,
+            notes
+        });
+
+        res.json({
+            success: true,
+            message: 'Session recorded successfully',
+            data: {
+                studySession,
+                userStats,
+                todayStats
+            }
+        });
+    } catch (error) {
+        console.error('Record session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   GET /api/stats/sessions
+// @desc    Get the study log, newest first (voided records and voids are left out
+//          unless ?includeVoided=true)
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+    try {
+        const { limit = 50, includeVoided } = req.query;
+        const max = Math.min(500, parseInt(limit) || 50);
+
+        const sessions = includeVoided === 'true'
+            ? await StudySession.find({ userId: req.userId }).sort({ endedAt: -1, createdAt: -1 }).limit(max)
+            : (await StudySession.findEffective(req.userId)).reverse().slice(0, max);
+
+        res.json({
+            success: true,
+            data: sessions
+        });
+    } catch (error) {
+        console.error('Get study log error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/stats/session/:id/void
+// @desc    Take back a logged study record ({ notes } explains why)
+// @access  Private
+router.post('/session/:id/void', auth, async (req, res) => {
+    try {
+        const { voided, userStats } = await voidStudySessions(req.userId, { _id: req.params.id }, req.body.notes);
+
+        if (voided === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Study record not found or already voided'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Study record voided',
+            data: { userStats }
+        });
+    } catch (error) {
+        console.error('Void study record error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/stats/rebuild
+// @desc    Recompute user statistics, subject progress and daily stats from the study log
+// @access  Private
+router.post('/rebuild', auth, async (req, res) => {
+    try {
+        const result = await rebuildStudyAggregates(req.userId);
+
+        res.json({
+            success: true,
+            message: `Rebuilt statistics from ${result.records} study records`,
+            data: result
+        });
+    } catch (error) {
+        console.error('Rebuild stats error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// How many upcoming rest days can be planned at once
+const MAX_PLANNED_REST_DAYS = 30;
+
+// @route   GET /api/stats/streak
+// @desc    Get the current and best streak, freezes left, past streaks and the streak rules
+// @access  Private
+router.get('/streak', auth, async (req, res) => {
+    try {
+        const streak = await getStreak(req.user);
+
+        res.json({
+            success: true,
+            data: streak
+        });
+    } catch (error) {
+        console.error('Get streak error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   PUT /api/stats/streak/rules
+// @desc    Update streak rules ({ minMinutes, restWeekdays, freezeEvery, maxFreezes })
+// @access  Private
+router.put('/streak/rules', auth, async (req, res) => {
+    try {
+        const { minMinutes, restWeekdays, freezeEvery, maxFreezes } = req.body;
         const user = await User.findById(req.userId);
-        user.statistics.completedSessions += 1;
-        user.statistics.totalStudyMinutes += duration;
-        user.statistics.lastStudyDate = new Date();
 
-        // Update streak
-        const streak = await StudyStats.calculateStreak(req.userId);
-        user.statistics.streak = streak + 1;
+        if (restWeekdays !== undefined) {
+            const weekdays = Array.isArray(restWeekdays) ? restWeekdays.map(Number) : null;
+
+            if (!weekdays || weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'restWeekdays must be a list of days 0-6 (Monday-Sunday)'
+                });
+            }
+            if (new Set(weekdays).size > 6) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'At least one day a week must be a study day'
+                });
+            }
+            user.preferences.streak.restWeekdays = [...new Set(weekdays)].sort();
+        }
+        if (minMinutes !== undefined) user.preferences.streak.minMinutes = Number(minMinutes);
+        if (freezeEvery !== undefined) user.preferences.streak.freezeEvery = Number(freezeEvery);
+        if (maxFreezes !== undefined) user.preferences.streak.maxFreezes = Number(maxFreezes);
+
+        const validationError = user.validateSync();
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(validationError.errors)[0].message
+            });
+        }
 
         await user.save();
+        const streak = await refreshStreak(req.userId);
+
+        res.json({
+            success: true,
+            message: 'Streak rules updated',
+            data: streak
+        });
+    } catch (error) {
+        console.error('Update streak rules error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/stats/streak/rest-days
+// @desc    Plan a rest day that won't break the streak ({ date: YYYY-MM-DD }, today or later)
+// @access  Private
+router.post('/streak/rest-days', auth, async (req, res) => {
+    try {
+        const date = parseDateKey(req.body.date);
+
+        if (!date) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date. Use YYYY-MM-DD'
+            });
+        }
+
+        const user = await User.findById(req.userId);
+        const todayDate = today(user.preferences.timezone);
 
-        // Update daily stats
-        const todayStats = await StudyStats.getTodayStats(req.userId);
-        todayStats.sessionsCompleted += 1;
-        todayStats.totalStudyMinutes += duration;
-        todayStats.streakDay = true;
-
-        // Add subject to today's stats
-        if (subjectName) {
-            const subjectIdx = todayStats.subjectsStudied.findIndex(
-                s => s.subjectName === subjectName
-            );
-            
-            if (subjectIdx >= 0) {
-                todayStats.subjectsStudied[subjectIdx].minutes += duration;
-                todayStats.subjectsStudied[subjectIdx].sessions += 1;
-            } else {
-                todayStats.subjectsStudied.push({
-                    subjectId,
-                    subjectName,
-                    minutes: duration,
-                    sessions: 1
+        if (date < todayDate) {
+            return res.status(400).json({
+                success: false,
+                message: 'Rest days have to be planned ahead; past days cannot be made rest days'
+            });
+        }
+
+        const { restDates } = getStreakRules(user.preferences);
+        const upcoming = restDates.filter(dateKey => dateKey >= toDateKey(todayDate));
+
+        if (!restDates.includes(toDateKey(date))) {
+            if (upcoming.length >= MAX_PLANNED_REST_DAYS) {
+                return res.status(400).json({
+                    success: false,
+                    message: `You can plan up to ${MAX_PLANNED_REST_DAYS} rest days ahead`
                 });
             }
+
+            user.preferences.streak.restDates.push(date);
+            await user.save();
         }
 
-        await todayStats.save();
+        const streak = await refreshStreak(req.userId);
 
-        // Update subject if provided
-        if (subjectId) {
-            const subject = await Subject.findById(subjectId);
-            if (subject) {
-                subject.completedSessions += 1;
-                await subject.updateProgress();
-            }
+        res.status(201).json({
+            success: true,
+            message: `${toDateKey(date)} is a rest day`,
+            data: streak
+        });
+    } catch (error) {
+        console.error('Add rest day error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/stats/streak/rest-days/:date
+// @desc    Cancel a planned rest day
+// @access  Private
+router.delete('/streak/rest-days/:date', auth, async (req, res) => {
+    try {
+        const date = parseDateKey(req.params.date);
+
+        if (!date) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date. Use YYYY-MM-DD'
+            });
+        }
+
+        const user = await User.findById(req.userId);
+        const remaining = user.preferences.streak.restDates.filter(restDate => toDateKey(restDate) !== toDateKey(date));
+
+        if (remaining.length === user.preferences.streak.restDates.length) {
+            return res.status(404).json({
+                success: false,
+                message: 'Rest day not found'
+            });
+        }
+
+        if (date < today(user.preferences.timezone)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Past rest days are kept as history'
+            });
         }
 
+        user.preferences.streak.restDates = remaining;
+        await user.save();
+        const streak = await refreshStreak(req.userId);
+
         res.json({
             success: true,
-            message: 'Session recorded successfully',
-            data: {
-                userStats: user.statistics,
-                todayStats
-            }
+            message: 'Rest day cancelled',
+            data: streak
         });
     } catch (error) {
-        console.error('Record session error:', error);
+        console.error('Remove rest day error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error',
@@ -164,9 +432,7 @@ router.get('/history', auth, async (req, res) => {
     try {
         const { days = 30 } = req.query;
         
-        const startDate = new Date();
-        startDate.setDate(startDate.getDate() - parseInt(days));
-        startDate.setHours(0, 0, 0, 0);
+        const startDate = addDays(today(req.user.preferences.timezone), -(parseInt(days) || 30));
 
         const history = await StudyStats.find({
             userId: req.userId,
@@ -0,0 +1,137 @@
+/**
+ * Streaks
+ * The one place streaks are worked out. A day counts when the user studied at
+ * least their minimum minutes. Rest days (weekly or planned) neither count nor
+ * break the streak, and a missed day is covered by a freeze when one is left;
+ * freezes are earned every few streak days. Everything is replayed from the
+ * daily stats, so the result never depends on when or how often it was computed.
+ */
+
+const User = require('../models/User');
+const StudyStats = require('../models/StudyStats');
+const { today, addDays, getDayIndex, toDateKey } = require('./dateUtils');
+
+// How many past streaks the history keeps
+const STREAK_HISTORY_LIMIT = 10;
+
+/**
+ * Streak rules from the user's preferences, with their defaults
+ */
+function getStreakRules(preferences = {}) {
+    const rules = preferences.streak || {};
+
+    return {
+        minMinutes: rules.minMinutes ?? 0,
+        restWeekdays: [...(rules.restWeekdays || [])],
+        restDates: (rules.restDates || []).map(date => toDateKey(date)),
+        freezeEvery: rules.freezeEvery ?? 7,
+        maxFreezes: rules.maxFreezes ?? 2
+    };
+}
+
+/**
+ * Whether a day's stats are enough for the streak
+ */
+function countsForStreak(stats, rules) {
+    if (!stats) return false;
+
+    const studied = stats.sessionsCompleted > 0 || stats.totalStudyMinutes > 0;
+    return studied && stats.totalStudyMinutes >= rules.minMinutes;
+}
+
+/**
+ * Whether a calendar day is a rest day under the rules
+ */
+function isRestDay(date, rules) {
+    return rules.restWeekdays.includes(getDayIndex(date)) || rules.restDates.includes(toDateKey(date));
+}
+
+/**
+ * Replay daily stats day by day up to todayDate. Today only adds to the
+ * streak: not having studied yet doesn't break it.
+ * Returns the current and longest streak, the freezes left, and past streaks
+ * (newest first) with the days frozen in them.
+ */
+function computeStreak(dailyStats, rules, todayDate) {
+    const statsByDay = new Map(dailyStats.map(stats => [toDateKey(stats.date), stats]));
+    const firstDay = dailyStats
+        .filter(stats => countsForStreak(stats, rules))
+        .reduce((earliest, stats) => (!earliest || stats.date < earliest ? stats.date : earliest), null);
+
+    const runs = [];
+    let run = null;
+    let freezes = 0;
+
+    const endRun = () => {
+        if (run) runs.push(run);
+        run = null;
+    };
+
+    for (let date = firstDay; date && date <= todayDate; date = addDays(date, 1)) {
+        const dateKey = toDateKey(date);
+
+        if (countsForStreak(statsByDay.get(dateKey), rules)) {
+            if (!run) run = { start: dateKey, end: dateKey, length: 0, frozenDays: [] };
+            run.length += 1;
+            run.end = dateKey;
+
+            if (run.length % rules.freezeEvery === 0 && freezes < rules.maxFreezes) {
+                freezes += 1;
+            }
+        } else if (!run || isRestDay(date, rules) || date.getTime() === todayDate.getTime()) {
+            continue;
+        } else if (freezes > 0) {
+            freezes -= 1;
+            run.frozenDays.push(dateKey);
+        } else {
+            endRun();
+        }
+    }
+
+    const current = run ? run.length : 0;
+    endRun();
+
+    return {
+        current,
+        longest: runs.reduce((longest, past) => Math.max(longest, past.length), 0),
+        freezes,
+        studiedToday: countsForStreak(statsByDay.get(toDateKey(todayDate)), rules),
+        currentStart: current > 0 ? runs[runs.length - 1].start : null,
+        history: runs.slice(-STREAK_HISTORY_LIMIT).reverse()
+    };
+}
+
+/**
+ * Work out a user's streak from their daily stats and rules
+ */
+async function getStreak(user) {
+    const rules = getStreakRules(user.preferences);
+    const dailyStats = await StudyStats.find({ userId: user._id }).sort({ date: 1 });
+
+    return {
+        ...computeStreak(dailyStats, rules, today(user.preferences.timezone)),
+        rules
+    };
+}
+
+/**
+ * Recompute a user's streak and keep the figures cached on their statistics
+ */
+async function refreshStreak(userId) {
+    const user = await User.findById(userId);
+    const streak = await getStreak(user);
+
+    user.statistics.streak = streak.current;
+    user.statistics.longestStreak = streak.longest;
+    user.statistics.streakFreezes = streak.freezes;
+    await user.save();
+
+    return streak;
+}
+
+module.exports = {
+    getStreakRules,
+    computeStreak,
+    getStreak,
+    refreshStreak
+};
@@ -0,0 +1,337 @@
+/**
+ * Study Recorder
+ * Appends study to the StudySession log and derives the user's totals, the
+ * subjects' progress and the daily StudyStats from it. Counters are never
+ * bumped directly, so undoing or rebuilding always gives the same figures.
+ */
+
+const User = require('../models/User');
+const Subject = require('../models/Subject');
+const StudyStats = require('../models/StudyStats');
+const StudySession = require('../models/StudySession');
+const { markTopicStudied } = require('./spacedRepetition');
+const { refreshSubjectPlan } = require('./subjectProgress');
+const { getStreak } = require('./streaks');
+const { today, dateInTimezone } = require('./dateUtils');
+
+// Matches dates that are not a UTC midnight, i.e. days stored at server-local
+// midnight before days followed the user's timezone
+const NOT_UTC_MIDNIGHT = {
+    $expr: { $or: [{ $ne: [{ $hour: '$date' }, 0] }, { $ne: [{ $minute: '$date' }, 0] }] }
+};
+
+/**
+ * Calendar date of a stored day: UTC midnight already, or the server-local
+ * calendar date for days stored before timezones were taken into account
+ */
+function storedDay(date) {
+    const day = new Date(date);
+    if (day.getUTCHours() === 0 && day.getUTCMinutes() === 0) return day;
+    return dateInTimezone(day);
+}
+
+/**
+ * Sum records into minutes and sessions, per subject as well as in total
+ */
+function summarize(entries) {
+    const bySubject = new Map();
+    let minutes = 0;
+    let sessions = 0;
+
+    entries.forEach(entry => {
+        minutes += entry.minutes;
+        sessions += entry.sessions;
+
+        const key = entry.subjectId ? String(entry.subjectId) : `name:${entry.subjectName}`;
+        if (!entry.subjectId && !entry.subjectName) return;
+        if (!bySubject.has(key)) {
+            bySubject.set(key, { subjectId: entry.subjectId, subjectName: entry.subjectName, minutes: 0, sessions: 0 });
+        }
+        const subject = bySubject.get(key);
+        subject.subjectName = entry.subjectName || subject.subjectName;
+        subject.minutes += entry.minutes;
+        subject.sessions += entry.sessions;
+    });
+
+    return { minutes, sessions, subjects: [...bySubject.values()] };
+}
+
+/**
+ * Recompute one day's StudyStats from the log
+ */
+async function refreshDay(userId, date) {
+    const entries = await StudySession.findEffective(userId, { date });
+    const { minutes, sessions, subjects } = summarize(entries);
+
+    return StudyStats.findOneAndUpdate(
+        { userId, date },
+        {
+            sessionsCompleted: sessions,
+            totalStudyMinutes: minutes,
+            subjectsStudied: subjects,
+            streakDay: sessions > 0 || minutes > 0
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+}
+
+/**
+ * Recompute subjects' studied minutes and completed sessions from their study
+ * records (reviews are kept out, as progress is measured against planned study)
+ */
+async function refreshSubjects(userId, subjectIds) {
+    const ids = subjectIds.filter(Boolean);
+    if (ids.length === 0) return;
+
+    const entries = await StudySession.findEffective(userId, { subjectId: { $in: ids }, type: 'study' });
+
+    for (const subjectId of ids) {
+        const { minutes, sessions } = summarize(entries.filter(entry => String(entry.subjectId) === String(subjectId)));
+        await Subject.updateOne({ _id: subjectId, userId }, { studiedMinutes: minutes, completedSessions: sessions });
+    }
+
+    await refreshSubjectPlan(userId, ids);
+}
+
+/**
+ * Recompute the user's lifetime totals and streak from the log (summed by
+ * the database, so the history never has to be loaded)
+ */
+async function refreshUser(userId) {
+    const { minutes, sessions, lastEndedAt } = await StudySession.totalsFor(userId);
+
+    const user = await User.findById(userId);
+    user.statistics.completedSessions = sessions;
+    user.statistics.totalStudyMinutes = minutes;
+    user.statistics.lastStudyDate = lastEndedAt;
+    const streak = await getStreak(user);
+    user.statistics.streak = streak.current;
+    user.statistics.longestStreak = streak.longest;
+    user.statistics.streakFreezes = streak.freezes;
+    await user.save();
+
+    return user.statistics;
+}
+
+/**
+ * Bring the aggregates touched by some records up to date
+ */
+async function refreshAggregates(userId, entries) {
+    const dates = [...new Set(entries.map(entry => entry.date.getTime()))].map(time => new Date(time));
+    const subjectIds = [...new Set(entries.filter(entry => entry.subjectId).map(entry => String(entry.subjectId)))];
+
+    const days = [];
+    for (const date of dates) {
+        days.push(await refreshDay(userId, date));
+    }
+    await refreshSubjects(userId, subjectIds);
+    const userStats = await refreshUser(userId);
+
+    return { userStats, days };
+}
+
+/**
+ * Append a study record and update the aggregates it counts towards.
+ * sessions is 0 to credit time only (e.g. a focus timer stopped before the
+ * session was done). A counted study session on a topic also starts that
+ * topic's review cycle.
+ */
+async function recordStudySession({
+    userId,
+    subjectId = null,
+    subjectName = '',
+    timetableId = null,
+    sessionId = null,
+    topicId = null,
+    type = 'study',
+    source,
+    startedAt = null,
+    endedAt = new Date(),
+    minutes,
+    sessions = 1,
+    notes = '',
+    topicDate = null
+}) {
+    const timeZone = await User.getTimezone(userId);
+    const studySession = await StudySession.create({
+        userId,
+        subjectId,
+        subjectName,
+        timetableId,
+        sessionId,
+        topicId,
+        type,
+        source,
+        startedAt: startedAt || new Date(endedAt.getTime() - minutes * 60000),
+        endedAt,
+        date: dateInTimezone(endedAt, timeZone),
+        minutes,
+        sessions,
+        notes
+    });
+
+    if (subjectId && topicId && type === 'study' && sessions > 0) {
+        const subject = await Subject.findOne({ _id: subjectId, userId });
+        if (subject) {
+            markTopicStudied(subject, topicId, topicDate || today(timeZone));
+            await subject.save();
+        }
+    }
+
+    const { userStats, days } = await refreshAggregates(userId, [studySession]);
+
+    return { studySession, userStats, todayStats: days[0] };
+}
+
+/**
+ * Take back every record that still counts and matches the filter (e.g. all
+ * study done for a timetable session that is unticked) by appending voids.
+ * Returns the number of records voided and the refreshed user totals.
+ */
+async function voidStudySessions(userId, filter, notes = '') {
+    const entries = await StudySession.findEffective(userId, filter);
+    if (entries.length === 0) return { voided: 0, userStats: null };
+
+    await StudySession.insertMany(entries.map(entry => ({
+        userId,
+        subjectId: entry.subjectId,
+        subjectName: entry.subjectName,
+        timetableId: entry.timetableId,
+        sessionId: entry.sessionId,
+        type: entry.type,
+        source: entry.source,
+        startedAt: entry.startedAt,
+        endedAt: entry.endedAt,
+        date: entry.date,
+        minutes: 0,
+        sessions: 0,
+        notes,
+        voidOf: entry._id
+    })));
+
+    const { userStats } = await refreshAggregates(userId, entries);
+    return { voided: entries.length, userStats };
+}
+
+/**
+ * Rebuild all of a user's aggregates from scratch: daily stats are recreated
+ * for the days with study, and every subject is recounted
+ */
+async function rebuildStudyAggregates(userId) {
+    const entries = await StudySession.findEffective(userId);
+
+    await StudyStats.deleteMany({ userId });
+    const dates = [...new Set(entries.map(entry => entry.date.getTime()))].map(time => new Date(time));
+    for (const date of dates) {
+        await refreshDay(userId, date);
+    }
+
+    const subjects = await Subject.find({ userId }).select('_id');
+    await refreshSubjects(userId, subjects.map(subject => subject._id));
+    const userStats = await refreshUser(userId);
+
+    return { records: entries.length, days: dates.length, subjects: subjects.length, userStats };
+}
+
+/**
+ * Turn daily stats recorded without a log into 'legacy' records: one per
+ * subject studied that day, plus one for any time not attributed to a subject
+ */
+function legacyEntriesFromStats(userId, stats, subjects = []) {
+    const idByName = new Map(subjects.map(subject => [subject.name, subject._id]));
+
+    return stats.flatMap(day => {
+        const date = storedDay(day.date);
+        const entry = (fields) => ({
+            userId,
+            source: 'legacy',
+            startedAt: date,
+            endedAt: date,
+            date,
+            ...fields
+        });
+
+        const entries = day.subjectsStudied.map(studied => entry({
+            subjectId: studied.subjectId || idByName.get(studied.subjectName) || null,
+            subjectName: studied.subjectName || '',
+            minutes: studied.minutes || 0,
+            sessions: studied.sessions || 0
+        }));
+
+        const { minutes, sessions } = summarize(entries);
+        if (day.totalStudyMinutes > minutes || day.sessionsCompleted > sessions) {
+            entries.push(entry({
+                minutes: Math.max(0, day.totalStudyMinutes - minutes),
+                sessions: Math.max(0, day.sessionsCompleted - sessions)
+            }));
+        }
+
+        return entries;
+    });
+}
+
+/**
+ * Give users whose study was only ever counted in daily stats a log to derive
+ * from. Returns the number of users migrated.
+ */
+async function migrateStudyLog() {
+    const logged = await StudySession.distinct('userId');
+    const userIds = await StudyStats.distinct('userId', { userId: { $nin: logged } });
+
+    for (const userId of userIds) {
+        const [stats, subjects] = await Promise.all([
+            StudyStats.find({ userId }),
+            Subject.find({ userId }).select('name')
+        ]);
+        await StudySession.insertMany(legacyEntriesFromStats(userId, stats, subjects));
+        await rebuildStudyAggregates(userId);
+    }
+
+    return userIds.length;
+}
+
+/**
+ * Put a user's records on the calendar days of their timezone (after it
+ * changes, or for records from before timezones) and rebuild the aggregates.
+ * Records carried over from daily stats have no real time, so they keep their day.
+ */
+async function redateStudyLog(userId) {
+    const timeZone = await User.getTimezone(userId);
+    const entries = await StudySession.find({ userId });
+
+    for (const entry of entries) {
+        const date = entry.source === 'legacy' ? storedDay(entry.date) : dateInTimezone(entry.endedAt, timeZone);
+        if (date.getTime() !== entry.date.getTime()) {
+            await StudySession.updateOne({ _id: entry._id }, { $set: { date } });
+        }
+    }
+
+    return rebuildStudyAggregates(userId);
+}
+
+/**
+ * Move study days stored at server-local midnight onto the users' own
+ * calendar days. Returns the number of users migrated.
+ */
+async function migrateStudyDays() {
+    const userIds = new Set([
+        ...await StudySession.distinct('userId', NOT_UTC_MIDNIGHT),
+        ...await StudyStats.distinct('userId', NOT_UTC_MIDNIGHT)
+    ].map(String));
+
+    for (const userId of userIds) {
+        await redateStudyLog(userId);
+    }
+
+    return userIds.size;
+}
+
+module.exports = {
+    recordStudySession,
+    voidStudySessions,
+    rebuildStudyAggregates,
+    legacyEntriesFromStats,
+    migrateStudyLog,
+    redateStudyLog,
+    migrateStudyDays
+};
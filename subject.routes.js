@@ -18,6 +18,46 @@ const colorPalette = [
     '#6366F1'  // Indigo
 ];
 
+// Validate exam entries from the request body
+const normalizeExams = (exams) => {
+    if (!Array.isArray(exams)) {
+        return { error: 'Exams must be an array' };
+    }
+
+    const normalized = [];
+
+    for (const exam of exams) {
+        const date = new Date(exam?.date);
+
+        if (!exam?.date || isNaN(date.getTime())) {
+            return { error: 'Each exam needs a valid date' };
+        }
+
+        normalized.push({
+            ...(exam._id && { _id: exam._id }),
+            title: exam.title || 'Exam',
+            date
+        });
+    }
+
+    normalized.sort((a, b) => a.date - b.date);
+
+    return { exams: normalized };
+};
+
+const TOPIC_STATUSES = ['not-started', 'in-progress', 'completed'];
+
+// Find one of the user's subjects by the :id route param
+const findUserSubject = (req) => {
+    return Subject.findOne({ _id: req.params.id, userId: req.userId });
+};
+
+// Set a topic's status, stamping when it was completed
+const applyTopicStatus = (topic, status) => {
+    topic.status = status;
+    topic.completedAt = status === 'completed' ? (topic.completedAt || new Date()) : null;
+};
+
 // @route   GET /api/subjects
 // @desc    Get all subjects for user
 // @access  Private
@@ -77,7 +117,7 @@ router.get('/:id', auth, async (req, res) => {
 // @access  Private
 router.post('/', auth, async (req, res) => {
     try {
-        const { name, weeklyHours, difficulty, color, examPriority } = req.body;
+        const { name, weeklyHours, difficulty, color, examPriority, exams = [] } = req.body;
 
         // Validation
         if (!name || !weeklyHours) {
@@ -87,6 +127,14 @@ router.post('/', auth, async (req, res) => {
             });
         }
 
+        const examCheck = normalizeExams(exams);
+        if (examCheck.error) {
+            return res.status(400).json({
+                success: false,
+                message: examCheck.error
+            });
+        }
+
         // Check for duplicate subject name
         const existingSubject = await Subject.findOne({
             userId: req.userId,
@@ -110,7 +158,8 @@ router.post('/', auth, async (req, res) => {
             weeklyHours: Math.min(40, Math.max(1, weeklyHours)),
             difficulty: difficulty || 'medium',
             color: assignedColor,
-            examPriority: examPriority || 0
+            examPriority: examPriority || 0,
+            exams: examCheck.exams
         });
 
         await subject.save();
@@ -143,7 +192,7 @@ router.post('/', auth, async (req, res) => {
 // @access  Private
 router.put('/:id', auth, async (req, res) => {
     try {
-        const { name, weeklyHours, difficulty, color, examPriority, isActive } = req.body;
+        const { name, weeklyHours, difficulty, color, examPriority, exams, isActive } = req.body;
 
         const subject = await Subject.findOne({
             _id: req.params.id,
@@ -173,12 +222,24 @@ router.put('/:id', auth, async (req, res) => {
             }
         }
 
+        let examCheck = null;
+        if (exams !== undefined) {
+            examCheck = normalizeExams(exams);
+            if (examCheck.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: examCheck.error
+                });
+            }
+        }
+
         // Update fields
         if (name) subject.name = name;
         if (weeklyHours) subject.weeklyHours = Math.min(40, Math.max(1, weeklyHours));
         if (difficulty) subject.difficulty = difficulty;
         if (color) subject.color = color;
         if (examPriority !== undefined) subject.examPriority = examPriority;
+        if (examCheck) subject.exams = examCheck.exams;
         if (isActive !== undefined) subject.isActive = isActive;
 
         await subject.save();
@@ -230,4 +291,231 @@ router.delete('/:id', auth, async (req, res) => {
     }
 });
 
+// @route   GET /api/subjects/:id/topics
+// @desc    Get a subject's topics in study order
+// @access  Private
+router.get('/:id/topics', auth, async (req, res) => {
+    try {
+        const subject = await findUserSubject(req);
+
+        if (!subject) {
+            return res.status(404).json({
+                success: false,
+                message: 'Subject not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            count: subject.topics.length,
+            data: subject.topics,
+            progress: subject.progress
+        });
+    } catch (error) {
+        console.error('Get topics error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/subjects/:id/topics
+// @desc    Add a topic ({ title, estimatedMinutes, status, position }); appended unless a position is given
+// @access  Private
+router.post('/:id/topics', auth, async (req, res) => {
+    try {
+        const { title, estimatedMinutes, status = 'not-started', position } = req.body;
+
+        if (!title || !String(title).trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a topic title'
+            });
+        }
+
+        if (!TOPIC_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid status. Use one of: ${TOPIC_STATUSES.join(', ')}`
+            });
+        }
+
+        const subject = await findUserSubject(req);
+
+        if (!subject) {
+            return res.status(404).json({
+                success: false,
+                message: 'Subject not found'
+            });
+        }
+
+        const topic = subject.topics.create({ title, estimatedMinutes });
+        applyTopicStatus(topic, status);
+
+        const index = position !== undefined
+            ? Math.min(subject.topics.length, Math.max(0, parseInt(position) || 0))
+            : subject.topics.length;
+        subject.topics.splice(index, 0, topic);
+
+        await subject.updateProgress();
+
+        res.status(201).json({
+            success: true,
+            message: 'Topic added successfully',
+            data: subject.topics.id(topic._id),
+            progress: subject.progress
+        });
+    } catch (error) {
+        console.error('Create topic error:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(e => e.message).join('; ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   PUT /api/subjects/:id/topics/reorder
+// @desc    Reorder topics ({ order: [topicId, ...] } listing every topic once)
+// @access  Private
+router.put('/:id/topics/reorder', auth, async (req, res) => {
+    try {
+        const { order } = req.body;
+        const subject = await findUserSubject(req);
+
+        if (!subject) {
+            return res.status(404).json({
+                success: false,
+                message: 'Subject not found'
+            });
+        }
+
+        const ids = Array.isArray(order) ? order.map(String) : [];
+        const sameTopics = ids.length === subject.topics.length &&
+            new Set(ids).size === ids.length &&
+            ids.every(id => subject.topics.id(id));
+
+        if (!sameTopics) {
+            return res.status(400).json({
+                success: false,
+                message: 'Order must list every topic id of this subject exactly once'
+            });
+        }
+
+        subject.topics = ids.map(id => subject.topics.id(id).toObject());
+        await subject.save();
+
+        res.json({
+            success: true,
+            message: 'Topics reordered successfully',
+            data: subject.topics
+        });
+    } catch (error) {
+        console.error('Reorder topics error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   PUT /api/subjects/:id/topics/:topicId
+// @desc    Update a topic's title, estimated effort or status
+// @access  Private
+router.put('/:id/topics/:topicId', auth, async (req, res) => {
+    try {
+        const { title, estimatedMinutes, status } = req.body;
+
+        if (status !== undefined && !TOPIC_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid status. Use one of: ${TOPIC_STATUSES.join(', ')}`
+            });
+        }
+
+        const subject = await findUserSubject(req);
+        const topic = subject ? subject.topics.id(req.params.topicId) : null;
+
+        if (!topic) {
+            return res.status(404).json({
+                success: false,
+                message: subject ? 'Topic not found' : 'Subject not found'
+            });
+        }
+
+        if (title !== undefined) topic.title = title;
+        if (estimatedMinutes !== undefined) topic.estimatedMinutes = estimatedMinutes;
+        if (status !== undefined) applyTopicStatus(topic, status);
+
+        await subject.updateProgress();
+
+        res.json({
+            success: true,
+            message: 'Topic updated successfully',
+            data: topic,
+            progress: subject.progress
+        });
+    } catch (error) {
+        console.error('Update topic error:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(e => e.message).join('; ')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/subjects/:id/topics/:topicId
+// @desc    Delete a topic
+// @access  Private
+router.delete('/:id/topics/:topicId', auth, async (req, res) => {
+    try {
+        const subject = await findUserSubject(req);
+        const topic = subject ? subject.topics.id(req.params.topicId) : null;
+
+        if (!topic) {
+            return res.status(404).json({
+                success: false,
+                message: subject ? 'Topic not found' : 'Subject not found'
+            });
+        }
+
+        topic.deleteOne();
+        await subject.updateProgress();
+
+        res.json({
+            success: true,
+            message: 'Topic deleted successfully',
+            data: topic,
+            progress: subject.progress
+        });
+    } catch (error) {
+        console.error('Delete topic error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
 module.exports = router;
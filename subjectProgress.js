@@ -0,0 +1,43 @@
+/**
+ * Subject progress
+ * Progress comes from what was actually studied (Subject.studiedMinutes and
+ * completedSessions, derived per subject id from the study log) and from
+ * what is still planned. Only the planned part is read from the timetable,
+ * so regenerating, renaming or archiving a subject never loses recorded work.
+ */
+
+const User = require('../models/User');
+const Subject = require('../models/Subject');
+const Timetable = require('../models/Timetable');
+const { today } = require('./dateUtils');
+
+/**
+ * Recount the study still planned from today on and refresh progress.
+ * Without subjectIds every active subject is refreshed; archived subjects
+ * keep the figures they had when they were archived.
+ */
+async function refreshSubjectPlan(userId, subjectIds = null) {
+    const filter = subjectIds
+        ? { userId, _id: { $in: subjectIds.filter(Boolean) } }
+        : { userId, isActive: true };
+
+    const fromDate = today(await User.getTimezone(userId));
+    const [subjects, days] = await Promise.all([
+        Subject.find(filter),
+        Timetable.find({ userId, date: { $gte: fromDate } })
+    ]);
+    const upcoming = days
+        .flatMap(day => day.sessions)
+        .filter(session => session.type === 'study' && !session.completed && !session.missed);
+
+    for (const subject of subjects) {
+        const planned = upcoming.filter(session => String(session.subjectId) === String(subject._id));
+        subject.plannedMinutes = planned.reduce((acc, session) => acc + session.duration, 0);
+        subject.totalSessions = subject.completedSessions + planned.length;
+        await subject.updateProgress();
+    }
+}
+
+module.exports = {
+    refreshSubjectPlan
+};
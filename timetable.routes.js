@@ -2,14 +2,121 @@ const express = require('express');
 const Timetable = require('../models/Timetable');
 const Subject = require('../models/Subject');
 const User = require('../models/User');
-const StudyStats = require('../models/StudyStats');
+const Reschedule = require('../models/Reschedule');
+const TimetableVersion = require('../models/TimetableVersion');
 const { auth } = require('../middleware/auth');
-const { generateTimetable, regenerateDay, DAYS } = require('../utils/timetableGenerator');
+const { generateTimetable, regenerateDay, assignTopics, isFixedSession, DAYS } = require('../utils/timetableGenerator');
+const { parseDateKey, toDateKey, today, addDays, getDayIndex, startOfWeek, daysBetween } = require('../utils/dateUtils');
+const { parseRecall, recordReview, planReviews, insertReviewSessions } = require('../utils/spacedRepetition');
+const { toMinutes, getSessionBounds, validateDuration, setTiming, findConflict, retimeBreaks } = require('../utils/sessionEditor');
+const { rescheduleMissedSessions, undoReschedule } = require('../utils/missedSessions');
+const { saveVersion, diffVersions, restoreVersion } = require('../utils/timetableVersions');
+const { refreshSubjectPlan } = require('../utils/subjectProgress');
+const { recordStudySession, voidStudySessions } = require('../utils/studyRecorder');
 
 const router = express.Router();
 
+const DEFAULT_PLAN_WEEKS = 2;
+const MAX_PLAN_WEEKS = 8;
+const MAX_RANGE_DAYS = 366;
+
+// The current calendar day in the user's timezone
+const userToday = (req) => today(req.user.preferences.timezone);
+
+// Resolve a 0-6 day index to that day's date in the current week
+const resolveWeekday = (day, todayDate) => {
+    const dayOfWeek = parseInt(day);
+
+    if (isNaN(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+        return null;
+    }
+
+    return addDays(startOfWeek(todayDate), dayOfWeek);
+};
+
+// Parse ?from=YYYY-MM-DD&to=YYYY-MM-DD, defaulting to the current week
+const parseRange = (query, todayDate) => {
+    const weekStart = startOfWeek(todayDate);
+    const from = query.from ? parseDateKey(query.from) : weekStart;
+    const to = query.to ? parseDateKey(query.to) : addDays(from || weekStart, 6);
+
+    if (!from || !to) {
+        return { error: 'Invalid date. Use YYYY-MM-DD' };
+    }
+
+    if (to < from) {
+        return { error: '"to" must be on or after "from"' };
+    }
+
+    if (daysBetween(from, to) >= MAX_RANGE_DAYS) {
+        return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+    }
+
+    return { from, to };
+};
+
+// A fresh seed for requests that do not bring one, returned so the plan can be reproduced
+const createSeed = () => Math.random().toString(36).slice(2, 10);
+
+// Flatten the explanations of placed study sessions for the API response
+const collectExplanations = (days) => {
+    return days.flatMap(day => day.sessions
+        .filter(session => session.explanation)
+        .map(session => ({
+            date: toDateKey(day.date),
+            startTime: session.startTime,
+            endTime: session.endTime,
+            subject: session.subject,
+            topic: session.topic || null,
+            ...session.explanation
+        }))
+    );
+};
+
+// Days holding a fixed (locked or completed) session
+const HAS_FIXED_SESSION = { $or: [{ 'sessions.locked': true }, { 'sessions.completed': true }] };
+
+// Fixed sessions from the given day on, as plain objects keyed by YYYY-MM-DD
+const loadFixedSessions = async (userId, fromDate) => {
+    const days = await Timetable.find({ userId, date: { $gte: fromDate }, ...HAS_FIXED_SESSION });
+
+    return new Map(days.map(day => [
+        toDateKey(day.date),
+        day.sessions.filter(isFixedSession).map(session => session.toObject())
+    ]));
+};
+
+// Planned study minutes per subject against the weekly hours asked for, with unmet hours
+const summarizePlan = (plannedDays, subjects, weeks, unscheduled) => {
+    const studySessions = plannedDays.flatMap(day => day.sessions).filter(session => session.type === 'study');
+
+    return subjects.map(subject => {
+        const key = String(subject._id);
+        const plannedMinutes = studySessions
+            .filter(session => String(session.subjectId) === key)
+            .reduce((acc, session) => acc + session.duration, 0);
+        const unmetHours = unscheduled
+            .filter(entry => String(entry.subjectId) === key)
+            .reduce((acc, entry) => acc + entry.hours, 0);
+
+        return {
+            subjectId: subject._id,
+            subject: subject.name,
+            weeklyHours: subject.weeklyHours,
+            requestedMinutes: subject.weeklyHours * 60 * weeks,
+            plannedMinutes,
+            plannedMinutesPerWeek: Math.round(plannedMinutes / weeks),
+            unmetHours: Math.round(unmetHours * 100) / 100
+        };
+    });
+};
+
 // @route   POST /api/timetable/generate
-// @desc    Generate AI-powered timetable
+// @desc    Generate AI-powered timetable from today across the plan horizon
+//          ({ weeks, seed, explain, dryRun }; the same seed and inputs give the same plan).
+//          With dryRun nothing is saved: the proposed plan comes back with a diff
+//          against the current one and per-subject stats, and can be committed by
+//          generating again with the returned seed.
 // @access  Private
 router.post('/generate', auth, async (req, res) => {
     try {
@@ -32,17 +139,97 @@ router.post('/generate', auth, async (req, res) => {
             });
         }
 
-        // Generate timetable using AI logic
-        const generatedTimetable = generateTimetable(subjects, user.preferences);
+        const weeks = Math.min(
+            MAX_PLAN_WEEKS,
+            Math.max(1, parseInt(req.body.weeks) || user.preferences.planWeeks || DEFAULT_PLAN_WEEKS)
+        );
+
+        const seed = req.body.seed !== undefined && req.body.seed !== '' ? String(req.body.seed) : createSeed();
+        const explain = Boolean(req.body.explain);
+        const dryRun = Boolean(req.body.dryRun);
 
-        // Delete existing timetable for this user
-        await Timetable.deleteMany({ userId: req.userId });
+        // Plan from today to the end of the horizon; the current week only gets its remaining days
+        const firstDay = userToday(req);
+        const firstWeek = startOfWeek(firstDay);
+        const horizonEnd = addDays(firstWeek, weeks * 7);
+        const plannedDays = [];
+        const unscheduled = [];
+
+        // Locked and completed sessions are fixed blocks the new plan is built around,
+        // so work already done today is kept
+        const fixedByDate = await loadFixedSessions(req.userId, firstDay);
+
+        for (let week = 0; week < weeks; week++) {
+            const weekStart = addDays(firstWeek, week * 7);
+            const days = DAYS.map((_, index) => index)
+                .filter(index => addDays(weekStart, index) >= firstDay);
+
+            // Generate timetable using AI logic
+            const generated = generateTimetable(subjects, user.preferences, {
+                referenceDate: week === 0 ? firstDay : weekStart,
+                days,
+                seed: `${seed}:${week}`,
+                explain,
+                locked: DAYS.map((_, index) => fixedByDate.get(toDateKey(addDays(weekStart, index))) || [])
+            });
+
+            generated.timetable
+                .filter(day => days.includes(day.dayOfWeek))
+                .forEach(day => plannedDays.push({ ...day, date: addDays(weekStart, day.dayOfWeek) }));
+
+            generated.unscheduled.forEach(entry => {
+                unscheduled.push({ weekStart: toDateKey(weekStart), ...entry });
+            });
+        }
+
+        // Work through each subject's syllabus from the first planned day on
+        assignTopics(plannedDays, subjects, user.preferences.sessionDuration || 25);
+        insertReviewSessions(plannedDays, planReviews(subjects, plannedDays), user.preferences);
+        const explanations = explain ? collectExplanations(plannedDays) : undefined;
+
+        if (dryRun) {
+            const current = await Timetable.find({ userId: req.userId, date: { $gte: firstDay } }).sort({ date: 1 });
+            // Fixed sessions past the horizon would be kept as well
+            const keptLater = current
+                .filter(day => day.date >= horizonEnd)
+                .map(day => ({ date: day.date, sessions: day.sessions.filter(isFixedSession) }));
+
+            return res.json({
+                success: true,
+                message: 'Preview only: nothing was saved',
+                dryRun: true,
+                data: plannedDays,
+                unscheduled,
+                seed,
+                explanations,
+                diff: diffVersions(
+                    { fromDate: firstDay, days: current },
+                    { fromDate: firstDay, days: [...plannedDays, ...keptLater] }
+                ),
+                stats: summarizePlan(plannedDays, subjects, weeks, unscheduled)
+            });
+        }
+
+        // Replace upcoming days only; earlier days are kept as history.
+        // Days past the horizon keep nothing but their fixed sessions.
+        await Timetable.deleteMany({
+            userId: req.userId,
+            date: { $gte: firstDay },
+            $or: [{ date: { $lt: horizonEnd } }, { $nor: HAS_FIXED_SESSION.$or }]
+        });
+
+        const laterFixedDays = await Timetable.find({ userId: req.userId, date: { $gte: horizonEnd } });
+        for (const day of laterFixedDays) {
+            day.sessions = day.sessions.filter(isFixedSession);
+            await day.save();
+        }
 
         // Save new timetable
         const savedTimetable = await Promise.all(
-            generatedTimetable.map(async (day) => {
+            plannedDays.map(async (day) => {
                 const timetableEntry = new Timetable({
                     userId: req.userId,
+                    date: day.date,
                     dayOfWeek: day.dayOfWeek,
                     dayName: day.dayName,
                     sessions: day.sessions,
@@ -53,24 +240,19 @@ router.post('/generate', auth, async (req, res) => {
             })
         );
 
-        // Update subject total sessions
-        for (const subject of subjects) {
-            let totalSessions = 0;
-            savedTimetable.forEach(day => {
-                totalSessions += day.sessions.filter(
-                    s => s.type === 'study' && s.subject === subject.name
-                ).length;
-            });
-            subject.totalSessions = totalSessions;
-            subject.completedSessions = 0;
-            subject.progress = 0;
-            await subject.save();
-        }
+        // Recount the study planned per subject; recorded progress is left as it is
+        await refreshSubjectPlan(req.userId);
+        await saveVersion(req.userId, 'generate', `Generated ${weeks} week(s) with seed ${seed}`);
 
         res.status(201).json({
             success: true,
-            message: 'Timetable generated successfully',
-            data: savedTimetable
+            message: unscheduled.length > 0
+                ? 'Timetable generated, but some weekly hours did not fit your availability'
+                : 'Timetable generated successfully',
+            data: savedTimetable,
+            unscheduled,
+            seed,
+            explanations
         });
     } catch (error) {
         console.error('Generate timetable error:', error);
@@ -82,13 +264,21 @@ router.post('/generate', auth, async (req, res) => {
     }
 });
 
-// @route   GET /api/timetable
-// @desc    Get user's timetable
+// @route   GET /api/timetable?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @desc    Get user's timetable for a date range (defaults to the current week)
 // @access  Private
 router.get('/', auth, async (req, res) => {
     try {
-        const timetable = await Timetable.find({ userId: req.userId })
-            .sort({ dayOfWeek: 1 });
+        const { from, to, error } = parseRange(req.query, userToday(req));
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const timetable = await Timetable.findRange(req.userId, from, to);
 
         res.json({
             success: true,
@@ -104,23 +294,12 @@ router.get('/', auth, async (req, res) => {
     }
 });
 
-// @route   GET /api/timetable/:day
-// @desc    Get timetable for specific day
-// @access  Private
-router.get('/:day', auth, async (req, res) => {
+// Send the plan for a single calendar day
+const sendDay = async (req, res, date) => {
     try {
-        const dayOfWeek = parseInt(req.params.day);
-        
-        if (isNaN(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid day. Use 0-6 (Monday-Sunday)'
-            });
-        }
-
         const timetable = await Timetable.findOne({
             userId: req.userId,
-            dayOfWeek
+            date
         });
 
         if (!timetable) {
@@ -142,27 +321,186 @@ router.get('/:day', auth, async (req, res) => {
             error: error.message
         });
     }
+};
+
+// @route   GET /api/timetable/date/:date
+// @desc    Get timetable for a calendar date (YYYY-MM-DD)
+// @access  Private
+router.get('/date/:date', auth, async (req, res) => {
+    const date = parseDateKey(req.params.date);
+
+    if (!date) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid date. Use YYYY-MM-DD'
+        });
+    }
+
+    await sendDay(req, res, date);
 });
 
-// @route   PUT /api/timetable/session/:day/:sessionId
-// @desc    Update session (mark as completed)
+// @route   GET /api/timetable/versions
+// @desc    List stored plan versions, newest first (without their sessions)
 // @access  Private
-router.put('/session/:day/:sessionId', auth, async (req, res) => {
+router.get('/versions', auth, async (req, res) => {
     try {
-        const { day, sessionId } = req.params;
-        const { completed } = req.body;
-        const dayOfWeek = parseInt(day);
+        const versions = await TimetableVersion.find({ userId: req.userId })
+            .sort({ createdAt: -1 })
+            .lean();
 
-        if (isNaN(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
-            return res.status(400).json({
+        res.json({
+            success: true,
+            count: versions.length,
+            data: versions.map(({ days, ...version }) => ({
+                ...version,
+                dayCount: days.length,
+                sessionCount: days.reduce((acc, day) => {
+                    return acc + day.sessions.filter(session => session.type !== 'break').length;
+                }, 0)
+            }))
+        });
+    } catch (error) {
+        console.error('Get versions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   GET /api/timetable/versions/:a/diff/:b
+// @desc    Sessions added, removed and moved per day going from version a to version b
+// @access  Private
+router.get('/versions/:a/diff/:b', auth, async (req, res) => {
+    try {
+        const [from, to] = await Promise.all([
+            TimetableVersion.findOne({ _id: req.params.a, userId: req.userId }),
+            TimetableVersion.findOne({ _id: req.params.b, userId: req.userId })
+        ]);
+
+        if (!from || !to) {
+            return res.status(404).json({
+                success: false,
+                message: 'Version not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                from: { id: from._id, reason: from.reason, createdAt: from.createdAt },
+                to: { id: to._id, reason: to.reason, createdAt: to.createdAt },
+                ...diffVersions(from, to)
+            }
+        });
+    } catch (error) {
+        console.error('Diff versions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/timetable/versions/:id/restore
+// @desc    Bring back a stored version of the plan from today on
+// @access  Private
+router.post('/versions/:id/restore', auth, async (req, res) => {
+    try {
+        const version = await TimetableVersion.findOne({ _id: req.params.id, userId: req.userId });
+
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                message: 'Version not found'
+            });
+        }
+
+        const restored = await restoreVersion(req.userId, version);
+
+        if (restored.conflict) {
+            return res.status(409).json({
                 success: false,
-                message: 'Invalid day'
+                message: `This version clashes with sessions you have completed (${restored.conflict})`
             });
         }
 
+        const data = await Timetable.find({ userId: req.userId, date: { $gte: userToday(req) } }).sort({ date: 1 });
+
+        res.json({
+            success: true,
+            message: restored.dropped > 0
+                ? `Version restored; ${restored.dropped} session(s) clashing with completed ones were left out`
+                : 'Version restored',
+            data,
+            version: restored.version._id
+        });
+    } catch (error) {
+        console.error('Restore version error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   GET /api/timetable/:day
+// @desc    Get timetable for specific day of the current week
+// @access  Private
+router.get('/:day', auth, async (req, res) => {
+    const date = resolveWeekday(req.params.day, userToday(req));
+
+    if (!date) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid day. Use 0-6 (Monday-Sunday)'
+        });
+    }
+
+    await sendDay(req, res, date);
+});
+
+// Move a topic's upcoming review sessions to match its review state after a rated review
+const rescheduleTopicReviews = async (userId, subject, topic, preferences) => {
+    const days = await Timetable.find({ userId, date: { $gte: today(preferences.timezone) } }).sort({ date: 1 });
+    const isPendingReview = (session) => session.type === 'review' &&
+        !session.completed && String(session.topicId) === String(topic._id);
+
+    const changed = new Set();
+    days.forEach(day => {
+        if (day.sessions.some(isPendingReview)) {
+            day.sessions = day.sessions.filter(session => !isPendingReview(session));
+            changed.add(day);
+        }
+    });
+
+    const reviews = planReviews([{
+        _id: subject._id,
+        name: subject.name,
+        color: subject.color,
+        topics: [topic]
+    }], days);
+    insertReviewSessions(days, reviews, preferences);
+
+    days.forEach(day => {
+        if (day.sessions.some(isPendingReview)) changed.add(day);
+    });
+
+    await Promise.all([...changed].map(day => day.save()));
+};
+
+// Mark a session on the given calendar day as completed or not
+const updateSessionCompletion = async (req, res, date) => {
+    try {
+        const { sessionId } = req.params;
+        const { completed } = req.body;
+
         const timetable = await Timetable.findOne({
             userId: req.userId,
-            dayOfWeek
+            date
         });
 
         if (!timetable) {
@@ -183,93 +521,69 @@ router.put('/session/:day/:sessionId', auth, async (req, res) => {
         }
 
         const wasCompleted = session.completed;
+
+        // Completing a review needs a recall rating to schedule the next one
+        let recall = null;
+        if (session.type === 'review' && completed && !wasCompleted) {
+            recall = parseRecall(req.body.recall);
+
+            if (recall === null) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Rate your recall (again, hard, good, easy or 0-5) to complete a review'
+                });
+            }
+        }
+
         session.completed = completed;
+        // A missed session that was done after all is no longer missed
+        if (completed) session.missed = false;
+        // Undoing a review clears its rating but keeps the topic's review schedule
+        session.recall = recall;
+
+        // Minutes a focus timer already logged are kept; ticking the box only logs the rest
+        let minutes = 0;
+        if (completed && !wasCompleted) {
+            minutes = session.actualMinutes ? 0 : session.duration;
+            session.actualMinutes = (session.actualMinutes || 0) + minutes;
+        } else if (!completed && wasCompleted) {
+            session.actualMinutes = null;
+        }
 
         await timetable.save();
 
-        // Update user statistics and subject progress
-        if (session.type === 'study') {
-            const user = await User.findById(req.userId);
-            
+        // Log the study (or take it back) and a completed review's recall
+        let rescheduledTopic = null;
+        if (session.type !== 'break') {
             if (completed && !wasCompleted) {
-                // Session marked as completed
-                user.statistics.completedSessions += 1;
-                user.statistics.totalStudyMinutes += session.duration;
-                user.statistics.lastStudyDate = new Date();
-
-                // Update streak
-                const today = new Date();
-                today.setHours(0, 0, 0, 0);
-                const lastStudy = user.statistics.lastStudyDate ? new Date(user.statistics.lastStudyDate) : null;
-                
-                if (lastStudy) {
-                    lastStudy.setHours(0, 0, 0, 0);
-                    const dayDiff = Math.floor((today - lastStudy) / (1000 * 60 * 60 * 24));
-                    
-                    if (dayDiff <= 1) {
-                        user.statistics.streak += 1;
-                    } else {
-                        user.statistics.streak = 1;
-                    }
-                } else {
-                    user.statistics.streak = 1;
-                }
-
-                // Update subject progress
-                if (session.subjectId) {
+                if (session.subjectId && session.type === 'review') {
                     const subject = await Subject.findById(session.subjectId);
-                    if (subject) {
-                        subject.completedSessions += 1;
-                        await subject.updateProgress();
+                    const topic = subject ? subject.topics.id(session.topicId) : null;
+                    if (topic) {
+                        const user = await User.findById(req.userId);
+                        recordReview(topic, recall, date);
+                        await subject.save();
+                        await rescheduleTopicReviews(req.userId, subject, topic, user.preferences);
+                        rescheduledTopic = topic;
                     }
                 }
 
-                // Update daily stats
-                const todayStats = await StudyStats.getTodayStats(req.userId);
-                todayStats.sessionsCompleted += 1;
-                todayStats.totalStudyMinutes += session.duration;
-                todayStats.streakDay = true;
-                
-                // Add subject to today's stats
-                const subjectIdx = todayStats.subjectsStudied.findIndex(
-                    s => s.subjectName === session.subject
-                );
-                
-                if (subjectIdx >= 0) {
-                    todayStats.subjectsStudied[subjectIdx].minutes += session.duration;
-                    todayStats.subjectsStudied[subjectIdx].sessions += 1;
-                } else {
-                    todayStats.subjectsStudied.push({
-                        subjectId: session.subjectId,
-                        subjectName: session.subject,
-                        minutes: session.duration,
-                        sessions: 1
-                    });
-                }
-                
-                await todayStats.save();
+                await recordStudySession({
+                    userId: req.userId,
+                    subjectId: session.subjectId,
+                    subjectName: session.subject,
+                    timetableId: timetable._id,
+                    sessionId: session._id,
+                    topicId: session.topicId,
+                    type: session.type,
+                    source: 'checkbox',
+                    minutes,
+                    topicDate: date
+                });
             } else if (!completed && wasCompleted) {
-                // Session unmarked (undoing completion)
-                user.statistics.completedSessions = Math.max(0, user.statistics.completedSessions - 1);
-                user.statistics.totalStudyMinutes = Math.max(0, user.statistics.totalStudyMinutes - session.duration);
-
-                // Update subject progress
-                if (session.subjectId) {
-                    const subject = await Subject.findById(session.subjectId);
-                    if (subject) {
-                        subject.completedSessions = Math.max(0, subject.completedSessions - 1);
-                        await subject.updateProgress();
-                    }
-                }
-
-                // Update daily stats
-                const todayStats = await StudyStats.getTodayStats(req.userId);
-                todayStats.sessionsCompleted = Math.max(0, todayStats.sessionsCompleted - 1);
-                todayStats.totalStudyMinutes = Math.max(0, todayStats.totalStudyMinutes - session.duration);
-                await todayStats.save();
+                // Everything logged for this session, timer time included, is taken back
+                await voidStudySessions(req.userId, { sessionId: session._id }, 'Session marked as incomplete');
             }
-
-            await user.save();
         }
 
         res.json({
@@ -277,7 +591,8 @@ router.put('/session/:day/:sessionId', auth, async (req, res) => {
             message: completed ? 'Session marked as completed' : 'Session marked as incomplete',
             data: {
                 session,
-                timetable
+                timetable,
+                ...(rescheduledTopic && { nextReviewDate: rescheduledTopic.nextReviewDate })
             }
         });
     } catch (error) {
@@ -288,22 +603,579 @@ router.put('/session/:day/:sessionId', auth, async (req, res) => {
             error: error.message
         });
     }
+};
+
+// @route   PUT /api/timetable/date/:date/session/:sessionId
+// @desc    Update session on a calendar date (mark as completed; reviews also need { recall })
+// @access  Private
+router.put('/date/:date/session/:sessionId', auth, async (req, res) => {
+    const date = parseDateKey(req.params.date);
+
+    if (!date) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid date. Use YYYY-MM-DD'
+        });
+    }
+
+    await updateSessionCompletion(req, res, date);
 });
 
-// @route   POST /api/timetable/regenerate/:day
-// @desc    Regenerate timetable for a specific day
+// @route   PUT /api/timetable/session/:day/:sessionId
+// @desc    Update session in the current week (mark as completed; reviews also need { recall })
 // @access  Private
-router.post('/regenerate/:day', auth, async (req, res) => {
+router.put('/session/:day/:sessionId', auth, async (req, res) => {
+    const date = resolveWeekday(req.params.day, userToday(req));
+
+    if (!date) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid day'
+        });
+    }
+
+    await updateSessionCompletion(req, res, date);
+});
+
+// Parse a date that is about to be edited by hand; past days are history.
+// Sends the error response and returns null when the date cannot be edited.
+const parseEditableDate = (req, res, value) => {
+    const date = parseDateKey(value);
+
+    if (!date) {
+        res.status(400).json({
+            success: false,
+            message: 'Invalid date. Use YYYY-MM-DD'
+        });
+        return null;
+    }
+
+    if (date < userToday(req)) {
+        res.status(400).json({
+            success: false,
+            message: 'Past days are kept as history and cannot be edited'
+        });
+        return null;
+    }
+
+    return date;
+};
+
+// Load a day's study and review sessions as plain objects for editing (breaks are rebuilt on save)
+const loadEditableDay = async (userId, date) => {
+    const timetable = await Timetable.findOne({ userId, date });
+    const sessions = timetable
+        ? timetable.sessions.filter(s => s.type !== 'break').map(s => s.toObject())
+        : [];
+
+    return { timetable, sessions };
+};
+
+// Find an editable session in a loaded day, or describe why it cannot be edited
+const findEditableSession = (sessions, sessionId) => {
+    const session = sessions.find(s => String(s._id) === String(sessionId));
+
+    if (!session) {
+        return { status: 404, error: 'Session not found' };
+    }
+    if (session.completed) {
+        return { status: 400, error: 'Completed sessions cannot be edited. Mark it as incomplete first.' };
+    }
+
+    return { session };
+};
+
+// Save edited sessions with freshly timed breaks, creating the day if needed
+const saveEditedDay = (userId, date, timetable, sessions, breakDuration) => {
+    const dayOfWeek = getDayIndex(date);
+    const day = timetable || new Timetable({ userId, date, dayOfWeek, dayName: DAYS[dayOfWeek], sessions: [] });
+
+    day.sessions = retimeBreaks(sessions, breakDuration);
+    return day.save();
+};
+
+// @route   POST /api/timetable/date/:date/sessions
+// @desc    Add a session by hand ({ subjectId, startTime, duration, type, topicId, locked })
+// @access  Private
+router.post('/date/:date/sessions', auth, async (req, res) => {
     try {
-        const dayOfWeek = parseInt(req.params.day);
-        
-        if (isNaN(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+        const date = parseEditableDate(req, res, req.params.date);
+        if (!date) return;
+
+        const { subjectId, startTime, type = 'study', topicId, locked = false } = req.body;
+        const user = await User.findById(req.userId);
+        const duration = req.body.duration !== undefined
+            ? Number(req.body.duration)
+            : user.preferences.sessionDuration;
+        const start = toMinutes(startTime);
+
+        if (!['study', 'review'].includes(type)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Type must be study or review'
+            });
+        }
+
+        if (start === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid start time. Use HH:MM or h:mm AM/PM'
+            });
+        }
+
+        const durationError = validateDuration(duration);
+        if (durationError) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid day'
+                message: durationError
+            });
+        }
+
+        const subject = await Subject.findOne({ _id: subjectId, userId: req.userId });
+        if (!subject) {
+            return res.status(404).json({
+                success: false,
+                message: 'Subject not found'
+            });
+        }
+
+        const topic = topicId ? subject.topics.id(topicId) : null;
+        if (topicId && !topic) {
+            return res.status(404).json({
+                success: false,
+                message: 'Topic not found'
+            });
+        }
+
+        const { timetable, sessions } = await loadEditableDay(req.userId, date);
+        sessions.push(setTiming({
+            subject: subject.name,
+            subjectId: subject._id,
+            topicId: topic ? topic._id : null,
+            topic: topic ? topic.title : null,
+            type,
+            completed: false,
+            locked: Boolean(locked),
+            color: subject.color
+        }, start, duration));
+
+        const conflict = findConflict(sessions);
+        if (conflict) {
+            return res.status(409).json({
+                success: false,
+                message: conflict
             });
         }
 
+        const saved = await saveEditedDay(req.userId, date, timetable, sessions, user.preferences.breakDuration);
+        await refreshSubjectPlan(req.userId, [subject._id]);
+        await saveVersion(req.userId, 'edit', `Added ${subject.name} at ${startTime} on ${toDateKey(date)}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Session added',
+            data: saved
+        });
+    } catch (error) {
+        console.error('Add session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   PUT /api/timetable/date/:date/session/:sessionId/move
+// @desc    Move a session to a new start time, optionally on another day ({ startTime, date })
+// @access  Private
+router.put('/date/:date/session/:sessionId/move', auth, async (req, res) => {
+    try {
+        const date = parseEditableDate(req, res, req.params.date);
+        if (!date) return;
+
+        const targetDate = req.body.date ? parseEditableDate(req, res, req.body.date) : date;
+        if (!targetDate) return;
+
+        const source = await loadEditableDay(req.userId, date);
+        const found = findEditableSession(source.sessions, req.params.sessionId);
+        if (found.error) {
+            return res.status(found.status).json({
+                success: false,
+                message: found.error
+            });
+        }
+
+        const session = found.session;
+        const start = req.body.startTime !== undefined
+            ? toMinutes(req.body.startTime)
+            : getSessionBounds(session).start;
+
+        if (start === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid start time. Use HH:MM or h:mm AM/PM'
+            });
+        }
+
+        setTiming(session, start, session.duration);
+
+        const sameDay = targetDate.getTime() === date.getTime();
+        const target = sameDay ? source : await loadEditableDay(req.userId, targetDate);
+        if (!sameDay) {
+            source.sessions.splice(source.sessions.indexOf(session), 1);
+            target.sessions.push(session);
+        }
+
+        const conflict = findConflict(target.sessions);
+        if (conflict) {
+            return res.status(409).json({
+                success: false,
+                message: conflict
+            });
+        }
+
+        const user = await User.findById(req.userId);
+        const { breakDuration } = user.preferences;
+        const saved = await saveEditedDay(req.userId, targetDate, target.timetable, target.sessions, breakDuration);
+        if (!sameDay) {
+            await saveEditedDay(req.userId, date, source.timetable, source.sessions, breakDuration);
+        }
+        await saveVersion(req.userId, 'edit',
+            `Moved ${session.subject} to ${session.startTime} on ${toDateKey(targetDate)}`);
+
+        res.json({
+            success: true,
+            message: sameDay
+                ? `Session moved to ${session.startTime}`
+                : `Session moved to ${toDateKey(targetDate)} at ${session.startTime}`,
+            data: saved
+        });
+    } catch (error) {
+        console.error('Move session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   PUT /api/timetable/date/:date/session/:sessionId/resize
+// @desc    Change a session's length, keeping its start time ({ duration })
+// @access  Private
+router.put('/date/:date/session/:sessionId/resize', auth, async (req, res) => {
+    try {
+        const date = parseEditableDate(req, res, req.params.date);
+        if (!date) return;
+
+        const duration = Number(req.body.duration);
+        const durationError = validateDuration(duration);
+        if (durationError) {
+            return res.status(400).json({
+                success: false,
+                message: durationError
+            });
+        }
+
+        const { timetable, sessions } = await loadEditableDay(req.userId, date);
+        const found = findEditableSession(sessions, req.params.sessionId);
+        if (found.error) {
+            return res.status(found.status).json({
+                success: false,
+                message: found.error
+            });
+        }
+
+        setTiming(found.session, getSessionBounds(found.session).start, duration);
+
+        const conflict = findConflict(sessions);
+        if (conflict) {
+            return res.status(409).json({
+                success: false,
+                message: conflict
+            });
+        }
+
+        const user = await User.findById(req.userId);
+        const saved = await saveEditedDay(req.userId, date, timetable, sessions, user.preferences.breakDuration);
+        await refreshSubjectPlan(req.userId, [found.session.subjectId]);
+        await saveVersion(req.userId, 'edit',
+            `Resized ${found.session.subject} on ${toDateKey(date)} to ${duration} minutes`);
+
+        res.json({
+            success: true,
+            message: `Session resized to ${duration} minutes`,
+            data: saved
+        });
+    } catch (error) {
+        console.error('Resize session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/timetable/date/:date/sessions/swap
+// @desc    Swap the places of two sessions on a day ({ sessionIds: [first, second] })
+// @access  Private
+router.post('/date/:date/sessions/swap', auth, async (req, res) => {
+    try {
+        const date = parseEditableDate(req, res, req.params.date);
+        if (!date) return;
+
+        const { sessionIds } = req.body;
+        if (!Array.isArray(sessionIds) || sessionIds.length !== 2 || sessionIds[0] === sessionIds[1]) {
+            return res.status(400).json({
+                success: false,
+                message: 'Provide two different session ids to swap'
+            });
+        }
+
+        const { timetable, sessions } = await loadEditableDay(req.userId, date);
+        const found = sessionIds.map(id => findEditableSession(sessions, id));
+        const failed = found.find(f => f.error);
+        if (failed) {
+            return res.status(failed.status).json({
+                success: false,
+                message: failed.error
+            });
+        }
+
+        // The later session takes the earlier one's start; the earlier one ends where the later one ended
+        const [earlier, later] = found
+            .map(f => f.session)
+            .sort((a, b) => getSessionBounds(a).start - getSessionBounds(b).start);
+        const span = { start: getSessionBounds(earlier).start, end: getSessionBounds(later).end };
+
+        setTiming(later, span.start, later.duration);
+        setTiming(earlier, span.end - earlier.duration, earlier.duration);
+
+        const conflict = findConflict(sessions);
+        if (conflict) {
+            return res.status(409).json({
+                success: false,
+                message: conflict
+            });
+        }
+
+        const user = await User.findById(req.userId);
+        const saved = await saveEditedDay(req.userId, date, timetable, sessions, user.preferences.breakDuration);
+        await saveVersion(req.userId, 'edit', `Swapped ${earlier.subject} and ${later.subject} on ${toDateKey(date)}`);
+
+        res.json({
+            success: true,
+            message: 'Sessions swapped',
+            data: saved
+        });
+    } catch (error) {
+        console.error('Swap sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   PUT /api/timetable/date/:date/session/:sessionId/lock
+// @desc    Lock or unlock a session ({ locked }); locked sessions survive regeneration
+// @access  Private
+router.put('/date/:date/session/:sessionId/lock', auth, async (req, res) => {
+    try {
+        const date = parseEditableDate(req, res, req.params.date);
+        if (!date) return;
+
+        if (typeof req.body.locked !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide locked as true or false'
+            });
+        }
+
+        const timetable = await Timetable.findOne({ userId: req.userId, date });
+        const session = timetable ? timetable.sessions.id(req.params.sessionId) : null;
+
+        if (!session || session.type === 'break') {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        session.locked = req.body.locked;
+        await timetable.save();
+        await saveVersion(req.userId, 'edit',
+            `${session.locked ? 'Locked' : 'Unlocked'} ${session.subject} at ${session.startTime} on ${toDateKey(date)}`);
+
+        res.json({
+            success: true,
+            message: session.locked ? 'Session locked' : 'Session unlocked',
+            data: timetable
+        });
+    } catch (error) {
+        console.error('Lock session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/timetable/date/:date/session/:sessionId
+// @desc    Delete a session (the breaks around it are re-timed)
+// @access  Private
+router.delete('/date/:date/session/:sessionId', auth, async (req, res) => {
+    try {
+        const date = parseEditableDate(req, res, req.params.date);
+        if (!date) return;
+
+        const { timetable, sessions } = await loadEditableDay(req.userId, date);
+        const found = findEditableSession(sessions, req.params.sessionId);
+        if (found.error) {
+            return res.status(found.status).json({
+                success: false,
+                message: found.error
+            });
+        }
+
+        sessions.splice(sessions.indexOf(found.session), 1);
+
+        const user = await User.findById(req.userId);
+        const saved = await saveEditedDay(req.userId, date, timetable, sessions, user.preferences.breakDuration);
+        await refreshSubjectPlan(req.userId, [found.session.subjectId]);
+        await saveVersion(req.userId, 'edit',
+            `Deleted ${found.session.subject} at ${found.session.startTime} on ${toDateKey(date)}`);
+
+        res.json({
+            success: true,
+            message: 'Session deleted',
+            data: saved
+        });
+    } catch (error) {
+        console.error('Delete session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/timetable/missed/reschedule
+// @desc    Mark study sessions that ended without being completed as missed and
+//          move their minutes into free time later this week
+// @access  Private
+router.post('/missed/reschedule', auth, async (req, res) => {
+    try {
+        const reschedule = await rescheduleMissedSessions(req.userId);
+
+        if (!reschedule) {
+            return res.json({
+                success: true,
+                message: 'No missed sessions to reschedule',
+                data: null
+            });
+        }
+
+        const missedMinutes = reschedule.missed.reduce((acc, entry) => acc + entry.minutes, 0);
+        const unplacedMinutes = reschedule.unplaced.reduce((acc, entry) => acc + entry.minutes, 0);
+
+        res.json({
+            success: true,
+            message: unplacedMinutes > 0
+                ? `Rescheduled ${missedMinutes - unplacedMinutes} of ${missedMinutes} missed minutes; the rest did not fit this week`
+                : `Rescheduled ${missedMinutes} missed minutes`,
+            data: reschedule
+        });
+    } catch (error) {
+        console.error('Reschedule missed sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   GET /api/timetable/missed/history
+// @desc    Recent missed-session reschedules, newest first
+// @access  Private
+router.get('/missed/history', auth, async (req, res) => {
+    try {
+        const reschedules = await Reschedule.find({ userId: req.userId })
+            .sort({ createdAt: -1 })
+            .limit(20);
+
+        res.json({
+            success: true,
+            count: reschedules.length,
+            data: reschedules
+        });
+    } catch (error) {
+        console.error('Get reschedules error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/timetable/missed/:rescheduleId/undo
+// @desc    Undo a reschedule: remove its make-up sessions and restore the missed ones
+// @access  Private
+router.post('/missed/:rescheduleId/undo', auth, async (req, res) => {
+    try {
+        const reschedule = await Reschedule.findOne({ _id: req.params.rescheduleId, userId: req.userId });
+
+        if (!reschedule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Reschedule not found'
+            });
+        }
+
+        if (reschedule.undoneAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'This reschedule has already been undone'
+            });
+        }
+
+        const keptCompleted = await undoReschedule(reschedule);
+
+        res.json({
+            success: true,
+            message: keptCompleted > 0
+                ? `Reschedule undone; ${keptCompleted} make-up session(s) already completed were kept`
+                : 'Reschedule undone',
+            data: reschedule
+        });
+    } catch (error) {
+        console.error('Undo reschedule error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// Regenerate the plan for a single calendar day
+const regenerateForDate = async (req, res, date) => {
+    try {
+        if (date < userToday(req)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Past days are kept as history and cannot be regenerated'
+            });
+        }
+
+        const dayOfWeek = getDayIndex(date);
         const user = await User.findById(req.userId);
         const subjects = await Subject.find({ userId: req.userId, isActive: true });
         
@@ -314,11 +1186,12 @@ router.post('/regenerate/:day', auth, async (req, res) => {
             });
         }
 
-        let timetable = await Timetable.findOne({ userId: req.userId, dayOfWeek });
+        let timetable = await Timetable.findOne({ userId: req.userId, date });
         
         if (!timetable) {
             timetable = new Timetable({
                 userId: req.userId,
+                date,
                 dayOfWeek,
                 dayName: DAYS[dayOfWeek],
                 sessions: []
@@ -326,15 +1199,33 @@ router.post('/regenerate/:day', auth, async (req, res) => {
         }
 
         // Regenerate sessions for this day
-        const newSessions = regenerateDay(timetable, subjects, user.preferences);
-        timetable.sessions = newSessions;
+        const seed = req.body.seed !== undefined && req.body.seed !== '' ? String(req.body.seed) : createSeed();
+        const explain = Boolean(req.body.explain);
+        const newSessions = regenerateDay(timetable, subjects, user.preferences, {
+            referenceDate: date,
+            seed,
+            explain,
+            // Locked and completed sessions stay, so logged work isn't lost
+            locked: timetable.sessions.filter(isFixedSession).map(session => session.toObject())
+        });
+        const day = { date, dayOfWeek, sessions: newSessions };
+        assignTopics([day], subjects, user.preferences.sessionDuration || 25);
+        insertReviewSessions([day], planReviews(subjects, [day]), user.preferences);
+        const explanations = explain ? collectExplanations([day]) : undefined;
+        // Subjects that were planned on the day or are now
+        const affectedSubjectIds = [...timetable.sessions, ...day.sessions].map(session => session.subjectId);
+        timetable.sessions = day.sessions;
 
         await timetable.save();
+        await refreshSubjectPlan(req.userId, affectedSubjectIds);
+        await saveVersion(req.userId, 'regenerate', `Shuffled ${toDateKey(date)}`);
 
         res.json({
             success: true,
-            message: `Timetable regenerated for ${DAYS[dayOfWeek]}`,
-            data: timetable
+            message: `Timetable regenerated for ${DAYS[dayOfWeek]} ${toDateKey(date)}`,
+            data: timetable,
+            seed,
+            explanations
         });
     } catch (error) {
         console.error('Regenerate day error:', error);
@@ -344,6 +1235,38 @@ router.post('/regenerate/:day', auth, async (req, res) => {
             error: error.message
         });
     }
+};
+
+// @route   POST /api/timetable/regenerate/date/:date
+// @desc    Regenerate timetable for a calendar date ({ seed, explain })
+// @access  Private
+router.post('/regenerate/date/:date', auth, async (req, res) => {
+    const date = parseDateKey(req.params.date);
+
+    if (!date) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid date. Use YYYY-MM-DD'
+        });
+    }
+
+    await regenerateForDate(req, res, date);
+});
+
+// @route   POST /api/timetable/regenerate/:day
+// @desc    Regenerate timetable for a specific day of the current week ({ seed, explain })
+// @access  Private
+router.post('/regenerate/:day', auth, async (req, res) => {
+    const date = resolveWeekday(req.params.day, userToday(req));
+
+    if (!date) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid day'
+        });
+    }
+
+    await regenerateForDate(req, res, date);
 });
 
 module.exports = router;
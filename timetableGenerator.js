@@ -3,8 +3,14 @@
  * Generates optimized study schedules based on:
  * - Subject difficulty weighting
  * - Weekly hours requirements
- * - Exam priority
+ * - Exam priority and countdown to upcoming exam dates
  * - User preferences (daily hours, session duration, break duration)
+ * - Weekly availability windows
+ * - Time-of-day fit (TIME_SLOT_WEIGHTS) and spreading subjects and difficulty
+ * Sessions are placed by a constraint scheduler (see scheduleSessions); hours
+ * that cannot be placed are reported as unscheduled, never silently dropped.
+ * Pass a seed to make the shuffling (and so the whole plan) reproducible,
+ * and explain: true to get the reasons behind each placed session.
  */
 
 const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
@@ -16,14 +22,33 @@ const DIFFICULTY_WEIGHTS = {
     hard: 2
 };
 
+// Default study day used when the user has no availability windows
+const DEFAULT_DAY_START = 8 * 60; // 8 AM
+const END_OF_DAY = 24 * 60;
+
+// Exam countdown: urgency and extra sessions ramp up over the last weeks before an exam
+const EXAM_RAMP_DAYS = 28;
+const MAX_EXAM_BOOST = 0.5; // up to 50% more weekly hours right before the exam
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
 // Optimal study times (higher weight = better time for studying)
 const TIME_SLOT_WEIGHTS = {
     morning: 1.5,    // 6 AM - 12 PM
     afternoon: 1.2,  // 12 PM - 5 PM
     evening: 1.0,    // 5 PM - 9 PM
-    night: 0.8       // 9 PM - 11 PM
+    night: 0.8       // 9 PM - 6 AM
 };
 
+// Penalties for the scheduler's soft constraints
+const SCHEDULE_PENALTIES = {
+    subjectRepeat: 1.5,    // per extra pair of the same subject on one day
+    difficultyLoad: 0.15,  // squared sum of difficulty weights per day (spreads hard subjects)
+    dayLoad: 0.1           // squared session count per day (spreads the week evenly)
+};
+const EARLY_START_BONUS = 0.1; // within a time slot, harder subjects lean towards the start of the day
+const MAX_IMPROVEMENT_PASSES = 5;
+const MAX_IMPROVEMENT_SWAPS = 150000; // swaps tried across all passes, bounding the work per week
+
 /**
  * Convert 24-hour time to 12-hour AM/PM format
  */
@@ -34,6 +59,23 @@ function formatTime(hours, minutes) {
     return `${displayHours}:${displayMinutes} ${period}`;
 }
 
+/**
+ * Parse a 12-hour "h:mm AM/PM" time back into 24-hour hours and minutes
+ */
+function parseTime(time) {
+    const match = typeof time === 'string' && time.match(/(\d+):(\d+)\s*(AM|PM)/i);
+    if (!match) return null;
+
+    let hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    const period = match[3].toUpperCase();
+
+    if (period === 'PM' && hours !== 12) hours += 12;
+    if (period === 'AM' && hours === 12) hours = 0;
+
+    return { hours, minutes };
+}
+
 /**
  * Add minutes to a time and return new hours and minutes
  */
@@ -45,12 +87,60 @@ function addMinutes(hours, minutes, addMins) {
     };
 }
 
+/**
+ * Whole days from the reference date until the subject's next exam, or null if none is upcoming
+ */
+function daysUntilNextExam(subject, referenceDate = new Date()) {
+    const today = new Date(referenceDate);
+    today.setHours(0, 0, 0, 0);
+
+    const upcoming = (subject.exams || [])
+        .map(exam => {
+            const examDay = new Date(exam.date);
+            examDay.setHours(0, 0, 0, 0);
+            return Math.round((examDay - today) / MS_PER_DAY);
+        })
+        .filter(days => days >= 0);
+
+    return upcoming.length > 0 ? Math.min(...upcoming) : null;
+}
+
+/**
+ * Exam urgency on the same 0-10 scale as examPriority.
+ * Rises linearly over the ramp window and peaks on exam day; the manual
+ * examPriority acts as a floor so users can still boost a subject by hand.
+ */
+function calculateExamUrgency(subject, referenceDate = new Date()) {
+    const manualPriority = subject.examPriority || 0;
+    const daysLeft = daysUntilNextExam(subject, referenceDate);
+
+    if (daysLeft === null || daysLeft > EXAM_RAMP_DAYS) {
+        return manualPriority;
+    }
+
+    const derivedUrgency = 10 * (1 - daysLeft / EXAM_RAMP_DAYS);
+    return Math.max(manualPriority, derivedUrgency);
+}
+
+/**
+ * Multiplier applied to a subject's weekly hours in the weeks before its exam
+ */
+function examRampMultiplier(subject, referenceDate = new Date()) {
+    const daysLeft = daysUntilNextExam(subject, referenceDate);
+
+    if (daysLeft === null || daysLeft > EXAM_RAMP_DAYS) {
+        return 1;
+    }
+
+    return 1 + MAX_EXAM_BOOST * (1 - daysLeft / EXAM_RAMP_DAYS);
+}
+
 /**
  * Calculate subject priority score
  */
-function calculatePriority(subject) {
+function calculatePriority(subject, referenceDate = new Date()) {
     const difficultyWeight = DIFFICULTY_WEIGHTS[subject.difficulty] || 1;
-    const examWeight = 1 + (subject.examPriority || 0) * 0.2;
+    const examWeight = 1 + calculateExamUrgency(subject, referenceDate) * 0.2;
     const hoursWeight = Math.min(subject.weeklyHours / 10, 2);
     
     return difficultyWeight * examWeight * hoursWeight;
@@ -73,61 +163,652 @@ function distributeSessionsPerDay(totalSessions, daysCount = 7) {
     return distribution;
 }
 
+/**
+ * Hash a seed string to a 32-bit integer (FNV-1a)
+ */
+function hashSeed(text) {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a random number generator returning floats in [0, 1).
+ * With a seed the sequence is deterministic (mulberry32); without one it is Math.random.
+ */
+function createRandom(seed) {
+    if (seed === undefined || seed === null || seed === '') {
+        return Math.random;
+    }
+
+    let state = hashSeed(String(seed));
+    return function() {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 /**
  * Shuffle array using Fisher-Yates algorithm
  */
-function shuffleArray(array) {
+function shuffleArray(array, random = Math.random) {
     const shuffled = [...array];
     for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
     return shuffled;
 }
 
 /**
- * Main timetable generation function
+ * Parse a 24-hour "HH:MM" clock time into minutes after midnight
+ */
+function parseClockTime(value) {
+    const match = typeof value === 'string' && value.match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+
+    const hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+
+    return hours * 60 + minutes;
+}
+
+/**
+ * Validate availability windows and normalise them into plain objects.
+ * Returns { availability } on success or { error } describing the first bad window.
+ */
+function normalizeAvailability(availability) {
+    if (!Array.isArray(availability)) {
+        return { error: 'Availability must be an array of windows' };
+    }
+
+    const normalized = [];
+
+    for (const window of availability) {
+        const dayOfWeek = parseInt(window?.dayOfWeek);
+        const start = parseClockTime(window?.start);
+        const end = parseClockTime(window?.end);
+
+        if (isNaN(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+            return { error: 'Each availability window needs a dayOfWeek between 0 (Monday) and 6 (Sunday)' };
+        }
+        if (start === null || end === null) {
+            return { error: 'Availability times must use the HH:MM 24-hour format' };
+        }
+        if (end <= start) {
+            return { error: `Availability window on ${DAYS[dayOfWeek]} must end after it starts` };
+        }
+
+        normalized.push({ dayOfWeek, start: window.start, end: window.end });
+    }
+
+    return { availability: normalized };
+}
+
+/**
+ * Build sorted, non-overlapping study windows (in minutes) for each day of the week
+ */
+function buildDayWindows(availability = []) {
+    // Without any availability keep the historical behaviour: start at 8 AM
+    if (!availability || availability.length === 0) {
+        return DAYS.map(() => [{ start: DEFAULT_DAY_START, end: END_OF_DAY }]);
+    }
+
+    const days = DAYS.map(() => []);
+
+    availability.forEach(window => {
+        const start = parseClockTime(window.start);
+        const end = parseClockTime(window.end);
+        if (start === null || end === null || end <= start) return;
+        if (!days[window.dayOfWeek]) return;
+
+        days[window.dayOfWeek].push({ start, end });
+    });
+
+    // Merge overlapping windows so a session is never placed twice in the same time
+    return days.map(windows => {
+        windows.sort((a, b) => a.start - b.start);
+
+        return windows.reduce((merged, window) => {
+            const last = merged[merged.length - 1];
+            if (last && window.start <= last.end) {
+                last.end = Math.max(last.end, window.end);
+            } else {
+                merged.push({ ...window });
+            }
+            return merged;
+        }, []);
+    });
+}
+
+/**
+ * Create a break block starting at the given minute of the day
+ */
+function createBreak(startMinutes, breakDuration) {
+    const start = addMinutes(0, 0, startMinutes);
+    const end = addMinutes(0, 0, startMinutes + breakDuration);
+
+    return {
+        subject: 'Break',
+        subjectId: null,
+        startTime: formatTime(start.hours, start.minutes),
+        endTime: formatTime(end.hours, end.minutes),
+        duration: breakDuration,
+        type: 'break',
+        completed: false,
+        color: '#9CA3AF'
+    };
+}
+
+/**
+ * Sum unplaced study sessions into per-subject weekly hours that could not be fitted.
+ * Each entry says how many hours were required, the unmet hours and why
+ * ('capacity': no free slot left; 'back-to-back': only slots next to the same subject were free).
+ */
+function summarizeUnscheduled(unplacedSessions, sessionDuration, requiredSessions = new Map()) {
+    const bySubject = new Map();
+    const toHours = minutes => Math.round((minutes / 60) * 100) / 100;
+
+    unplacedSessions.forEach(session => {
+        const key = String(session.subjectId || session.subject);
+        const entry = bySubject.get(key) || {
+            subjectId: session.subjectId,
+            subject: session.subject,
+            sessions: 0,
+            minutes: 0,
+            reason: session.reason || 'capacity'
+        };
+        entry.sessions += 1;
+        entry.minutes += sessionDuration;
+        bySubject.set(key, entry);
+    });
+
+    return [...bySubject.entries()].map(([key, entry]) => {
+        const required = requiredSessions.get(key);
+        return {
+            ...entry,
+            hours: toHours(entry.minutes),
+            ...(required !== undefined && { requiredHours: toHours(required * sessionDuration) })
+        };
+    });
+}
+
+/**
+ * Start times of every session position inside a day's windows, with a break
+ * between consecutive positions of the same window
+ */
+function buildDaySlots(windows, sessionDuration, breakDuration) {
+    const slots = [];
+
+    windows.forEach((window, windowIndex) => {
+        let cursor = window.start;
+        while (cursor + sessionDuration <= window.end) {
+            slots.push({ start: cursor, windowIndex, timeSlot: getTimeSlot(cursor) });
+            cursor += sessionDuration + breakDuration;
+        }
+    });
+
+    return slots;
+}
+
+/**
+ * Minutes after midnight a planned session starts and ends
+ */
+function getBlockBounds(session) {
+    const time = parseTime(session.startTime);
+    const start = time ? time.hours * 60 + time.minutes : 0;
+    return { start, end: start + session.duration };
+}
+
+/**
+ * Whether a session is kept as it is when the plan is rebuilt: locked
+ * sessions, and completed ones, which hold the study and recall already logged
+ */
+function isFixedSession(session) {
+    return Boolean(session.locked || session.completed);
+}
+
+/**
+ * Cut locked sessions, with a break on either side, out of a day's availability windows
+ */
+function subtractLockedBlocks(windows, lockedSessions, breakDuration) {
+    return lockedSessions.map(getBlockBounds).reduce((remaining, block) => {
+        return remaining.flatMap(window => {
+            const busyStart = block.start - breakDuration;
+            const busyEnd = block.end + breakDuration;
+            if (busyEnd <= window.start || busyStart >= window.end) return [window];
+
+            return [
+                { start: window.start, end: busyStart },
+                { start: busyEnd, end: window.end }
+            ].filter(part => part.end > part.start);
+        });
+    }, windows);
+}
+
+/**
+ * Study minutes locked sessions already take up (reviews count too; breaks do not)
+ */
+function sumLockedMinutes(lockedSessions, subjectId = null) {
+    return lockedSessions
+        .filter(session => session.type !== 'break')
+        .filter(session => subjectId === null ||
+            (session.type === 'study' && String(session.subjectId) === String(subjectId)))
+        .reduce((acc, session) => acc + session.duration, 0);
+}
+
+/**
+ * Put a day's locked sessions back among the generated ones, in time order, with
+ * a break between a locked session and a generated one placed right next to it
+ */
+function mergeLockedSessions(sessions, lockedSessions, breakDuration) {
+    const generated = sessions.filter(session => session.type !== 'break').map(getBlockBounds);
+    const breaks = [];
+
+    lockedSessions.map(getBlockBounds).forEach(block => {
+        if (generated.some(bounds => bounds.end === block.start - breakDuration)) {
+            breaks.push(createBreak(block.start - breakDuration, breakDuration));
+        }
+        if (generated.some(bounds => bounds.start === block.end + breakDuration)) {
+            breaks.push(createBreak(block.end, breakDuration));
+        }
+    });
+
+    return [...sessions, ...lockedSessions, ...breaks]
+        .sort((a, b) => getBlockBounds(a).start - getBlockBounds(b).start);
+}
+
+/**
+ * Constraint-based scheduler.
+ * Hard constraints: sessions only go into free slots inside the availability
+ * windows, at most capacity[d] sessions per day, and never the same subject
+ * directly after itself (neighbouring positions of one window).
+ * Soft constraints are scored: higher priority and harder subjects gain more
+ * from good time slots (TIME_SLOT_WEIGHTS), and repeating a subject, piling up
+ * difficulty or overloading one day are penalised.
+ * A greedy pass places sessions in priority order, swap/move passes improve the
+ * score, and a repair pass retries unplaced sessions by moving one placed session.
+ * Returns { assignment, unplaced } where assignment[d][i] is the session in slot i of day d.
+ */
+function scheduleSessions(sessionPool, daySlots, capacity) {
+    const assignment = daySlots.map(slots => slots.map(() => null));
+
+    const placementScore = (session, slot) => {
+        const difficultyWeight = DIFFICULTY_WEIGHTS[session.difficulty] || 1;
+        const earliness = (END_OF_DAY - slot.start) / END_OF_DAY;
+        return (session.priority + difficultyWeight) * TIME_SLOT_WEIGHTS[slot.timeSlot] +
+            EARLY_START_BONUS * difficultyWeight * earliness;
+    };
+
+    // Running totals per day, kept up to date by place(), so scoring a change
+    // only looks at the positions it touches
+    const dayStats = daySlots.map(() => ({ count: 0, difficultyLoad: 0, repeats: 0, perSubject: new Map() }));
+
+    const place = (day, index, session) => {
+        const stats = dayStats[day];
+        const previous = assignment[day][index];
+
+        if (previous) {
+            const key = String(previous.subjectId);
+            const count = stats.perSubject.get(key);
+            stats.repeats -= count - 1;
+            stats.perSubject.set(key, count - 1);
+            stats.count -= 1;
+            stats.difficultyLoad -= DIFFICULTY_WEIGHTS[previous.difficulty] || 1;
+        }
+
+        if (session) {
+            const key = String(session.subjectId);
+            const count = stats.perSubject.get(key) || 0;
+            stats.repeats += count;
+            stats.perSubject.set(key, count + 1);
+            stats.count += 1;
+            stats.difficultyLoad += DIFFICULTY_WEIGHTS[session.difficulty] || 1;
+        }
+
+        assignment[day][index] = session;
+    };
+
+    const dayPenalty = (day) => {
+        const { count, difficultyLoad, repeats } = dayStats[day];
+        return SCHEDULE_PENALTIES.subjectRepeat * repeats +
+            SCHEDULE_PENALTIES.difficultyLoad * difficultyLoad * difficultyLoad +
+            SCHEDULE_PENALTIES.dayLoad * count * count;
+    };
+
+    const positionScore = (day, index) => {
+        const session = assignment[day][index];
+        return session ? placementScore(session, daySlots[day][index]) : 0;
+    };
+
+    const countOn = (day) => dayStats[day].count;
+
+    // Same subject in a neighbouring position of the same window
+    const hasBackToBack = (day, index) => {
+        const session = assignment[day][index];
+        if (!session) return false;
+
+        return [index - 1, index + 1].some(neighbour => {
+            const other = assignment[day][neighbour];
+            return other &&
+                daySlots[day][neighbour].windowIndex === daySlots[day][index].windowIndex &&
+                String(other.subjectId) === String(session.subjectId);
+        });
+    };
+
+    const satisfiesConstraints = (days) => {
+        return days.every(day => countOn(day) <= capacity[day] &&
+            assignment[day].every((_, index) => !hasBackToBack(day, index)));
+    };
+
+    // Swap the contents of two positions (either may be empty) if that is allowed and scores higher.
+    // Only the two positions and their days' penalties change, so only they are scored.
+    const trySwap = (a, b, requireGain = true) => {
+        const days = a.day === b.day ? [a.day] : [a.day, b.day];
+        const before = positionScore(a.day, a.index) + positionScore(b.day, b.index) -
+            days.reduce((acc, day) => acc + dayPenalty(day), 0);
+
+        const first = assignment[a.day][a.index];
+        place(a.day, a.index, assignment[b.day][b.index]);
+        place(b.day, b.index, first);
+
+        const after = positionScore(a.day, a.index) + positionScore(b.day, b.index) -
+            days.reduce((acc, day) => acc + dayPenalty(day), 0);
+        const allowed = days.every(day => countOn(day) <= capacity[day]) &&
+            !hasBackToBack(a.day, a.index) && !hasBackToBack(b.day, b.index);
+
+        if (allowed && (!requireGain || after > before + 1e-9)) {
+            return true;
+        }
+
+        place(b.day, b.index, assignment[a.day][a.index]);
+        place(a.day, a.index, first);
+        return false;
+    };
+
+    const positions = [];
+    daySlots.forEach((slots, day) => slots.forEach((_, index) => positions.push({ day, index })));
+
+    // Greedy construction: best feasible slot for each session, highest priority first
+    const unplaced = [];
+    sessionPool.forEach(session => {
+        let best = null;
+        let bestGain = -Infinity;
+
+        positions.forEach(({ day, index }) => {
+            if (assignment[day][index] || countOn(day) >= capacity[day]) return;
+
+            const before = dayPenalty(day);
+            place(day, index, session);
+            const feasible = !hasBackToBack(day, index);
+            const gain = placementScore(session, daySlots[day][index]) - (dayPenalty(day) - before);
+            place(day, index, null);
+
+            if (feasible && gain > bestGain) {
+                best = { day, index };
+                bestGain = gain;
+            }
+        });
+
+        if (best) {
+            place(best.day, best.index, session);
+        } else {
+            unplaced.push(session);
+        }
+    });
+
+    // Local improvement: swap or move sessions while the score keeps rising,
+    // within a fixed budget of swaps tried so big plans stay quick
+    let swapBudget = MAX_IMPROVEMENT_SWAPS;
+    for (let pass = 0; pass < MAX_IMPROVEMENT_PASSES && swapBudget > 0; pass++) {
+        let improved = false;
+
+        for (let i = 0; i < positions.length && swapBudget > 0; i++) {
+            for (let j = i + 1; j < positions.length && swapBudget > 0; j++) {
+                const a = positions[i];
+                const b = positions[j];
+                const sessionA = assignment[a.day][a.index];
+                const sessionB = assignment[b.day][b.index];
+
+                if (!sessionA && !sessionB) continue;
+                if (sessionA && sessionB && String(sessionA.subjectId) === String(sessionB.subjectId)) continue;
+
+                swapBudget--;
+                if (trySwap(a, b)) improved = true;
+            }
+        }
+
+        if (!improved) break;
+    }
+
+    // Repair: retry unplaced sessions in slots freed up by the improvement passes,
+    // then by moving one placed session into a free slot to make room
+    const freePositions = () => positions.filter(({ day, index }) => {
+        return !assignment[day][index] && countOn(day) < capacity[day];
+    });
+
+    const placeDirectly = (session) => {
+        return freePositions().some(({ day, index }) => {
+            place(day, index, session);
+            if (!hasBackToBack(day, index)) return true;
+            place(day, index, null);
+            return false;
+        });
+    };
+
+    const placeByMoving = (session) => {
+        return freePositions().some(target => positions.some(source => {
+            if (!assignment[source.day][source.index]) return false;
+            if (!trySwap(source, target, false)) return false;
+
+            place(source.day, source.index, session);
+            if (satisfiesConstraints([source.day])) return true;
+
+            // Undo the move
+            place(source.day, source.index, null);
+            trySwap(source, target, false);
+            return false;
+        }));
+    };
+
+    const stillUnplaced = [];
+    unplaced.forEach(session => {
+        if (placeDirectly(session) || placeByMoving(session)) return;
+
+        stillUnplaced.push({
+            ...session,
+            reason: freePositions().length > 0 ? 'back-to-back' : 'capacity'
+        });
+    });
+
+    return { assignment, unplaced: stillUnplaced };
+}
+
+/**
+ * Turn one day's slot assignment into timed study sessions with breaks
+ * between sessions in neighbouring positions
  */
-function generateTimetable(subjects, preferences) {
+function buildDaySessions(slots, assigned, sessionDuration, breakDuration, options = {}) {
+    const { explain = false, capacity = 0 } = options;
+    const sessions = [];
+    const count = assigned.filter(Boolean).length;
+
+    assigned.forEach((session, index) => {
+        if (!session) return;
+
+        const slot = slots[index];
+        const start = addMinutes(0, 0, slot.start);
+        const end = addMinutes(0, 0, slot.start + sessionDuration);
+
+        sessions.push({
+            subject: session.subject,
+            subjectId: session.subjectId,
+            color: session.color,
+            difficulty: session.difficulty,
+            startTime: formatTime(start.hours, start.minutes),
+            endTime: formatTime(end.hours, end.minutes),
+            duration: sessionDuration,
+            type: 'study',
+            completed: false,
+            ...(explain && {
+                explanation: explainPlacement(session, slot.timeSlot, { sessions: count, capacity })
+            })
+        });
+
+        const next = slots[index + 1];
+        if (assigned[index + 1] && next.windowIndex === slot.windowIndex) {
+            sessions.push(createBreak(slot.start + sessionDuration, breakDuration));
+        }
+    });
+
+    return sessions;
+}
+
+/**
+ * Name of the part of the day a start time (minutes after midnight) falls in
+ */
+function getTimeSlot(minutes) {
+    const hour = Math.floor(minutes / 60) % 24;
+
+    if (hour >= 6 && hour < 12) return 'morning';
+    if (hour >= 12 && hour < 17) return 'afternoon';
+    if (hour >= 17 && hour < 21) return 'evening';
+    return 'night';
+}
+
+/**
+ * Explain why a session sits in its slot: the scores the scheduler weighed
+ */
+function explainPlacement(session, timeSlot, dayLoad) {
+    const difficultyWeight = DIFFICULTY_WEIGHTS[session.difficulty] || 1;
+    const priority = Math.round(session.priority * 100) / 100;
+    const examNote = session.daysUntilExam !== null ? `, exam in ${session.daysUntilExam} days` : '';
+
+    return {
+        priority,
+        difficulty: session.difficulty,
+        difficultyWeight,
+        daysUntilExam: session.daysUntilExam,
+        timeSlot,
+        timeSlotWeight: TIME_SLOT_WEIGHTS[timeSlot],
+        dayLoad,
+        summary: `${session.subject} has priority ${priority} (${session.difficulty}, weight ` +
+            `${difficultyWeight}${examNote}); placed in the ${timeSlot} (slot weight ` +
+            `${TIME_SLOT_WEIGHTS[timeSlot]}) on a day with ${dayLoad.sessions} of ${dayLoad.capacity} sessions`
+    };
+}
+
+/**
+ * Assign study sessions to syllabus topics in order.
+ * Days must be in calendar order; each subject works through its unfinished
+ * topics, giving every topic enough sessions to cover its estimated effort.
+ * Sessions left over once the syllabus is covered keep no topic (free revision);
+ * locked and completed sessions keep the topic they were given.
+ */
+function assignTopics(days, subjects, sessionDuration) {
+    const queues = new Map();
+
+    subjects.forEach(subject => {
+        const pending = (subject.topics || [])
+            .filter(topic => topic.status !== 'completed')
+            .map(topic => ({
+                _id: topic._id,
+                title: topic.title,
+                sessionsLeft: Math.max(1, Math.ceil(topic.estimatedMinutes / sessionDuration))
+            }));
+        queues.set(String(subject._id), pending);
+    });
+
+    days.forEach(day => {
+        day.sessions
+            .filter(session => session.type === 'study')
+            .forEach(session => {
+                const queue = queues.get(String(session.subjectId)) || [];
+
+                // Fixed sessions keep their topic and use up part of its effort
+                if (isFixedSession(session)) {
+                    const index = queue.findIndex(topic => String(topic._id) === String(session.topicId));
+                    if (index !== -1 && --queue[index].sessionsLeft === 0) {
+                        queue.splice(index, 1);
+                    }
+                    return;
+                }
+
+                const topic = queue[0];
+
+                session.topicId = topic ? topic._id : null;
+                session.topic = topic ? topic.title : null;
+
+                if (topic && --topic.sessionsLeft === 0) {
+                    queue.shift();
+                }
+            });
+    });
+
+    return days;
+}
+
+/**
+ * Main timetable generation function.
+ * Returns { timetable, unscheduled } where unscheduled lists the weekly
+ * hours per subject that did not fit in the user's availability.
+ * options.referenceDate sets "today" for exam countdowns,
+ * options.days limits planning to the given day indexes (0 = Monday),
+ * options.seed makes the result deterministic and options.explain adds an
+ * explanation to every placed study session.
+ * options.locked lists each day's fixed sessions (indexed like DAYS; see
+ * isFixedSession): they are kept as they are, and their study time counts
+ * towards the daily limit and the subject's weekly hours.
+ */
+function generateTimetable(subjects, preferences, options = {}) {
+    const { referenceDate = new Date(), days = [0, 1, 2, 3, 4, 5, 6], seed, explain = false } = options;
+    const locked = DAYS.map((_, index) => (days.includes(index) && options.locked?.[index]) || []);
+    const random = createRandom(seed);
     const {
         dailyHours = 4,
         sessionDuration = 25,
-        breakDuration = 5
+        breakDuration = 5,
+        availability = []
     } = preferences;
 
     // Convert daily hours to minutes
     const dailyMinutes = dailyHours * 60;
     
     // Calculate how many study sessions can fit per day
-    const sessionWithBreak = sessionDuration + breakDuration;
     const maxSessionsPerDay = Math.floor(dailyMinutes / sessionDuration);
+    const daySlots = buildDayWindows(availability).map((windows, index) => {
+        return buildDaySlots(subtractLockedBlocks(windows, locked[index], breakDuration), sessionDuration, breakDuration);
+    });
+    const dayCapacity = daySlots.map((slots, index) => {
+        if (!days.includes(index)) return 0;
+        const lockedSessions = Math.ceil(sumLockedMinutes(locked[index]) / sessionDuration);
+        return Math.max(0, Math.min(maxSessionsPerDay - lockedSessions, slots.length));
+    });
     
-    // Calculate subject priorities and required sessions
+    // Calculate subject priorities and required sessions (locked study time already covers part)
     const subjectData = subjects.map(subject => {
-        const weeklyMinutes = subject.weeklyHours * 60;
-        const sessionsNeeded = Math.ceil(weeklyMinutes / sessionDuration);
-        const priority = calculatePriority(subject);
+        const weeklyMinutes = subject.weeklyHours * 60 * examRampMultiplier(subject, referenceDate);
+        const lockedMinutes = locked.reduce((acc, sessions) => acc + sumLockedMinutes(sessions, subject._id), 0);
+        const sessionsNeeded = Math.max(0, Math.ceil((weeklyMinutes - lockedMinutes) / sessionDuration));
+        const priority = calculatePriority(subject, referenceDate);
         
         return {
-            ...subject,
+            _id: subject._id,
+            name: subject.name,
+            color: subject.color,
+            difficulty: subject.difficulty,
+            daysUntilExam: daysUntilNextExam(subject, referenceDate),
             sessionsNeeded,
-            sessionsAssigned: 0,
             priority
         };
     });
 
-    // Sort by priority (highest first)
-    subjectData.sort((a, b) => b.priority - a.priority);
-
-    // Initialize timetable for each day
-    const timetable = DAYS.map((dayName, index) => ({
-        dayOfWeek: index,
-        dayName,
-        sessions: [],
-        totalStudyMinutes: 0,
-        totalBreakMinutes: 0
-    }));
-
     // Create a pool of all required sessions
     let sessionPool = [];
     subjectData.forEach(subject => {
@@ -137,217 +818,101 @@ function generateTimetable(subjects, preferences) {
                 subjectId: subject._id,
                 color: subject.color,
                 difficulty: subject.difficulty,
-                priority: subject.priority
+                daysUntilExam: subject.daysUntilExam,
+                priority: subject.priority,
+                // How far into the subject's weekly hours this session is
+                share: (i + 0.5) / subject.sessionsNeeded
             });
         }
     });
 
-    // Shuffle for variety
-    sessionPool = shuffleArray(sessionPool);
-
-    // Sort by priority to ensure important subjects get better slots
-    sessionPool.sort((a, b) => b.priority - a.priority);
-
-    // Distribute sessions across days
-    let currentDay = 0;
-    let startHour = 8; // Start at 8 AM
-    let startMinute = 0;
-
-    sessionPool.forEach((sessionData, index) => {
-        // Find the best day (least filled that can still accept)
-        let targetDay = currentDay;
-        let minSessions = Infinity;
-        
-        for (let d = 0; d < 7; d++) {
-            if (timetable[d].sessions.filter(s => s.type === 'study').length < maxSessionsPerDay) {
-                if (timetable[d].sessions.filter(s => s.type === 'study').length < minSessions) {
-                    minSessions = timetable[d].sessions.filter(s => s.type === 'study').length;
-                    targetDay = d;
-                }
-            }
-        }
-
-        const day = timetable[targetDay];
-        
-        // Check if we can add more sessions to this day
-        const currentStudySessions = day.sessions.filter(s => s.type === 'study').length;
-        if (currentStudySessions >= maxSessionsPerDay) {
-            return; // Skip this session if day is full
-        }
-
-        // Calculate start time for this day
-        const daySessionCount = day.sessions.length;
-        let sessionStartHour = startHour;
-        let sessionStartMinute = 0;
-        
-        if (daySessionCount > 0) {
-            // Get the last session's end time
-            const lastSession = day.sessions[day.sessions.length - 1];
-            const lastEndParts = lastSession.endTime.match(/(\d+):(\d+)\s*(AM|PM)/i);
-            if (lastEndParts) {
-                sessionStartHour = parseInt(lastEndParts[1]);
-                sessionStartMinute = parseInt(lastEndParts[2]);
-                if (lastEndParts[3].toUpperCase() === 'PM' && sessionStartHour !== 12) {
-                    sessionStartHour += 12;
-                }
-                if (lastEndParts[3].toUpperCase() === 'AM' && sessionStartHour === 12) {
-                    sessionStartHour = 0;
-                }
-            }
-        }
-
-        // Create study session
-        const studyEnd = addMinutes(sessionStartHour, sessionStartMinute, sessionDuration);
-        
-        day.sessions.push({
-            subject: sessionData.subject,
-            subjectId: sessionData.subjectId,
-            startTime: formatTime(sessionStartHour, sessionStartMinute),
-            endTime: formatTime(studyEnd.hours, studyEnd.minutes),
-            duration: sessionDuration,
-            type: 'study',
-            completed: false,
-            color: sessionData.color
-        });
+    // Shuffle for variety, then interleave subjects by how much of their hours is covered
+    // (so a shortfall is shared in proportion to each subject's hours) and by priority
+    sessionPool = shuffleArray(sessionPool, random);
+    sessionPool.sort((a, b) => a.share - b.share || b.priority - a.priority);
 
-        day.totalStudyMinutes += sessionDuration;
-
-        // Add break after study session (except for last session of the day)
-        if (currentStudySessions < maxSessionsPerDay - 1) {
-            const breakEnd = addMinutes(studyEnd.hours, studyEnd.minutes, breakDuration);
-            
-            day.sessions.push({
-                subject: 'Break',
-                subjectId: null,
-                startTime: formatTime(studyEnd.hours, studyEnd.minutes),
-                endTime: formatTime(breakEnd.hours, breakEnd.minutes),
-                duration: breakDuration,
-                type: 'break',
-                completed: false,
-                color: '#9CA3AF'
-            });
+    const { assignment, unplaced } = scheduleSessions(sessionPool, daySlots, dayCapacity);
 
-            day.totalBreakMinutes += breakDuration;
-        }
+    const timetable = DAYS.map((dayName, index) => {
+        const sessions = mergeLockedSessions(
+            buildDaySessions(daySlots[index], assignment[index], sessionDuration, breakDuration, {
+                explain,
+                capacity: dayCapacity[index]
+            }),
+            locked[index],
+            breakDuration
+        );
 
-        // Move to next day in rotation
-        currentDay = (currentDay + 1) % 7;
+        return {
+            dayOfWeek: index,
+            dayName,
+            sessions,
+            totalStudyMinutes: sessions
+                .filter(s => s.type === 'study')
+                .reduce((acc, s) => acc + s.duration, 0),
+            totalBreakMinutes: sessions
+                .filter(s => s.type === 'break')
+                .reduce((acc, s) => acc + s.duration, 0)
+        };
     });
 
-    // Ensure harder subjects are distributed throughout the week
-    // and not clustered together
-    timetable.forEach(day => {
-        // Interleave easy and hard subjects
-        const studySessions = day.sessions.filter(s => s.type === 'study');
-        const breaks = day.sessions.filter(s => s.type === 'break');
-        
-        // Sort study sessions to alternate difficulty
-        studySessions.sort((a, b) => {
-            const diffA = DIFFICULTY_WEIGHTS[a.difficulty] || 1;
-            const diffB = DIFFICULTY_WEIGHTS[b.difficulty] || 1;
-            return diffB - diffA; // Hard subjects first (morning)
-        });
-        
-        // Rebuild sessions array with proper times
-        day.sessions = [];
-        let currentHour = startHour;
-        let currentMinute = 0;
-        
-        studySessions.forEach((session, idx) => {
-            // Add study session
-            const studyEnd = addMinutes(currentHour, currentMinute, sessionDuration);
-            
-            day.sessions.push({
-                ...session,
-                startTime: formatTime(currentHour, currentMinute),
-                endTime: formatTime(studyEnd.hours, studyEnd.minutes)
-            });
-            
-            currentHour = studyEnd.hours;
-            currentMinute = studyEnd.minutes;
-            
-            // Add break after (except last)
-            if (idx < studySessions.length - 1) {
-                const breakEnd = addMinutes(currentHour, currentMinute, breakDuration);
-                
-                day.sessions.push({
-                    subject: 'Break',
-                    subjectId: null,
-                    startTime: formatTime(currentHour, currentMinute),
-                    endTime: formatTime(breakEnd.hours, breakEnd.minutes),
-                    duration: breakDuration,
-                    type: 'break',
-                    completed: false,
-                    color: '#9CA3AF'
-                });
-                
-                currentHour = breakEnd.hours;
-                currentMinute = breakEnd.minutes;
-            }
-        });
-    });
+    const requiredSessions = new Map(
+        subjectData.map(subject => [String(subject._id), subject.sessionsNeeded])
+    );
 
-    return timetable;
+    return {
+        timetable,
+        unscheduled: summarizeUnscheduled(unplaced, sessionDuration, requiredSessions)
+    };
 }
 
 /**
  * Regenerate timetable for specific day
+ * (options.seed and options.explain work as in generateTimetable;
+ * options.locked lists the day's fixed sessions, which are kept in place)
  */
-function regenerateDay(dayTimetable, subjects, preferences) {
-    // Similar logic but for single day
-    const { sessionDuration = 25, breakDuration = 5, dailyHours = 4 } = preferences;
+function regenerateDay(dayTimetable, subjects, preferences, options = {}) {
+    // Similar logic but for single day: one session per subject, shuffled for variety
+    const { sessionDuration = 25, breakDuration = 5, dailyHours = 4, availability = [] } = preferences;
+    const { referenceDate = new Date(), seed, explain = false, locked = [] } = options;
     
-    const shuffledSubjects = shuffleArray(subjects);
-    const maxSessions = Math.floor((dailyHours * 60) / sessionDuration);
+    const shuffledSubjects = shuffleArray(subjects, createRandom(seed));
+    const windows = buildDayWindows(availability)[dayTimetable.dayOfWeek] || [];
+    const slots = buildDaySlots(subtractLockedBlocks(windows, locked, breakDuration), sessionDuration, breakDuration);
+    const lockedSessions = Math.ceil(sumLockedMinutes(locked) / sessionDuration);
+    const maxSessions = Math.max(0, Math.min(Math.floor((dailyHours * 60) / sessionDuration) - lockedSessions, slots.length));
     
-    const sessions = [];
-    let currentHour = 8;
-    let currentMinute = 0;
-    
-    for (let i = 0; i < Math.min(maxSessions, shuffledSubjects.length); i++) {
-        const subject = shuffledSubjects[i % shuffledSubjects.length];
-        const studyEnd = addMinutes(currentHour, currentMinute, sessionDuration);
-        
-        sessions.push({
-            subject: subject.name,
-            subjectId: subject._id,
-            startTime: formatTime(currentHour, currentMinute),
-            endTime: formatTime(studyEnd.hours, studyEnd.minutes),
-            duration: sessionDuration,
-            type: 'study',
-            completed: false,
-            color: subject.color
-        });
-        
-        currentHour = studyEnd.hours;
-        currentMinute = studyEnd.minutes;
-        
-        if (i < maxSessions - 1) {
-            const breakEnd = addMinutes(currentHour, currentMinute, breakDuration);
-            
-            sessions.push({
-                subject: 'Break',
-                subjectId: null,
-                startTime: formatTime(currentHour, currentMinute),
-                endTime: formatTime(breakEnd.hours, breakEnd.minutes),
-                duration: breakDuration,
-                type: 'break',
-                completed: false,
-                color: '#9CA3AF'
-            });
-            
-            currentHour = breakEnd.hours;
-            currentMinute = breakEnd.minutes;
-        }
-    }
+    const studySessions = shuffledSubjects.slice(0, maxSessions).map(subject => ({
+        subject: subject.name,
+        subjectId: subject._id,
+        color: subject.color,
+        difficulty: subject.difficulty,
+        daysUntilExam: daysUntilNextExam(subject, referenceDate),
+        priority: calculatePriority(subject, referenceDate)
+    }));
     
-    return sessions;
+    const { assignment } = scheduleSessions(studySessions, [slots], [maxSessions]);
+
+    const sessions = buildDaySessions(slots, assignment[0], sessionDuration, breakDuration, {
+        explain,
+        capacity: maxSessions
+    });
+
+    return mergeLockedSessions(sessions, locked, breakDuration);
 }
 
 module.exports = {
     generateTimetable,
     regenerateDay,
+    assignTopics,
+    isFixedSession,
+    normalizeAvailability,
+    buildDayWindows,
+    parseClockTime,
+    calculatePriority,
+    daysUntilNextExam,
     DAYS,
     formatTime,
+    parseTime,
     addMinutes
 };
@@ -0,0 +1,221 @@
+/**
+ * Timetable versions
+ * Every generation or edit stores a snapshot of the upcoming plan, so two
+ * versions can be compared and an earlier one brought back.
+ */
+
+const User = require('../models/User');
+const Timetable = require('../models/Timetable');
+const TimetableVersion = require('../models/TimetableVersion');
+const { refreshSubjectPlan } = require('./subjectProgress');
+const { getSessionBounds, findConflict, retimeBreaks } = require('./sessionEditor');
+const { today, toDateKey } = require('./dateUtils');
+
+const MAX_VERSIONS = 50;
+
+// What a session's progress looks like before the user has done anything with it
+const UNTOUCHED_PROGRESS = {
+    completed: false,
+    actualMinutes: null,
+    recall: null,
+    missed: false,
+    missedUndone: false
+};
+
+/**
+ * Store the user's plan from today on as a new version, dropping the oldest
+ * versions beyond MAX_VERSIONS
+ */
+async function saveVersion(userId, reason, description = '') {
+    const fromDate = today(await User.getTimezone(userId));
+    const days = await Timetable.find({ userId, date: { $gte: fromDate } }).sort({ date: 1 });
+
+    const version = await TimetableVersion.create({
+        userId,
+        reason,
+        description,
+        fromDate,
+        days: days.map(day => ({
+            date: day.date,
+            dayOfWeek: day.dayOfWeek,
+            dayName: day.dayName,
+            sessions: day.sessions.map(session => session.toObject())
+        }))
+    });
+
+    const stale = await TimetableVersion.find({ userId })
+        .sort({ createdAt: -1 })
+        .skip(MAX_VERSIONS)
+        .select('_id');
+    if (stale.length > 0) {
+        await TimetableVersion.deleteMany({ _id: { $in: stale.map(v => v._id) } });
+    }
+
+    return version;
+}
+
+/**
+ * Short description of a session for diffs
+ */
+function describeSession({ session, date }) {
+    return {
+        sessionId: session._id,
+        subject: session.subject,
+        topic: session.topic || null,
+        type: session.type,
+        date,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        duration: session.duration
+    };
+}
+
+/**
+ * Compare two versions day by day: sessions added, removed and moved (same
+ * session at another time or day). Only days both versions cover are compared.
+ * Anything with { fromDate, days } can be compared, e.g. an unsaved preview.
+ * Regenerated sessions get new ids, so they are matched to an earlier session
+ * of the same subject and type: at the same time (unchanged) or on the same day (moved).
+ */
+function diffVersions(from, to) {
+    const firstDay = new Date(Math.max(from.fromDate, to.fromDate));
+    const flatten = (version) => version.days
+        .filter(day => day.date >= firstDay)
+        .flatMap(day => day.sessions
+            .filter(session => session.type !== 'break')
+            .map(session => ({ session, date: toDateKey(day.date) })));
+
+    let removed = flatten(from);
+    const added = flatten(to);
+    const moved = [];
+
+    const sameKind = (a, b) => a.session.type === b.session.type &&
+        String(a.session.subjectId) === String(b.session.subjectId);
+    const sameTiming = (a, b) => a.date === b.date &&
+        a.session.startTime === b.session.startTime &&
+        a.session.duration === b.session.duration;
+
+    const pairUp = (matches) => {
+        removed = removed.filter(before => {
+            const index = added.findIndex(after => matches(before, after));
+            if (index === -1) return true;
+
+            const [after] = added.splice(index, 1);
+            if (!sameTiming(before, after)) {
+                moved.push({ from: describeSession(before), to: describeSession(after) });
+            }
+            return false;
+        });
+    };
+
+    pairUp((a, b) => a.session._id && String(a.session._id) === String(b.session._id));
+    pairUp((a, b) => sameKind(a, b) && sameTiming(a, b));
+    pairUp((a, b) => sameKind(a, b) && a.date === b.date);
+
+    const days = new Map();
+    const dayEntry = (date) => {
+        if (!days.has(date)) days.set(date, { date, added: [], removed: [], moved: [] });
+        return days.get(date);
+    };
+
+    added.forEach(entry => dayEntry(entry.date).added.push(describeSession(entry)));
+    removed.forEach(entry => dayEntry(entry.date).removed.push(describeSession(entry)));
+    moved.forEach(entry => dayEntry(entry.to.date).moved.push(entry));
+
+    return {
+        days: [...days.values()].sort((a, b) => a.date.localeCompare(b.date)),
+        summary: {
+            added: added.length,
+            removed: removed.length,
+            moved: moved.length
+        }
+    };
+}
+
+/**
+ * Replace the plan from today on with a version's days. Sessions that still
+ * exist keep their current progress; the others come back untouched.
+ * Completed sessions the version doesn't have are kept, so logged work stays;
+ * planned sessions clashing with them are dropped. Subjects' planned study is
+ * recounted and the restore is stored as a new version.
+ * Returns { version, dropped }, or { conflict } (and changes nothing) when
+ * completed sessions would still overlap.
+ */
+async function restoreVersion(userId, version) {
+    const fromDate = today(await User.getTimezone(userId));
+    const user = await User.findById(userId).select('preferences.breakDuration');
+    const breakDuration = user?.preferences?.breakDuration ?? 5;
+    const current = await Timetable.find({ userId, date: { $gte: fromDate } });
+    const currentSessions = new Map(
+        current.flatMap(day => day.sessions.map(session => [String(session._id), session]))
+    );
+
+    const days = version.days
+        .filter(day => day.date >= fromDate)
+        .map(day => new Timetable({
+            userId,
+            date: day.date,
+            dayOfWeek: day.dayOfWeek,
+            dayName: day.dayName,
+            sessions: day.sessions.map(snapshot => {
+                const session = snapshot.toObject();
+                const existing = currentSessions.get(String(session._id));
+
+                Object.keys(UNTOUCHED_PROGRESS).forEach(field => {
+                    session[field] = existing ? existing[field] : UNTOUCHED_PROGRESS[field];
+                });
+                return session;
+            })
+        }));
+
+    const restoredIds = new Set(days.flatMap(day => day.sessions.map(session => String(session._id))));
+    const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+    let dropped = 0;
+
+    current.forEach(currentDay => {
+        const kept = currentDay.sessions
+            .filter(session => session.completed && !restoredIds.has(String(session._id)))
+            .map(session => session.toObject());
+        if (kept.length === 0) return;
+
+        let day = days.find(candidate => toDateKey(candidate.date) === toDateKey(currentDay.date));
+        if (!day) {
+            day = new Timetable({
+                userId,
+                date: currentDay.date,
+                dayOfWeek: currentDay.dayOfWeek,
+                dayName: currentDay.dayName,
+                sessions: []
+            });
+            days.push(day);
+        }
+        const keptBounds = kept.map(getSessionBounds);
+        const planned = day.sessions.map(session => session.toObject()).filter(session => {
+            const clashes = session.type !== 'break' && !session.completed &&
+                keptBounds.some(bounds => overlaps(getSessionBounds(session), bounds));
+            if (clashes) dropped++;
+            return !clashes;
+        });
+        day.sessions = retimeBreaks([...planned, ...kept], breakDuration);
+    });
+
+    for (const day of days) {
+        const conflict = findConflict(day.sessions);
+        if (conflict) return { conflict: `${toDateKey(day.date)}: ${conflict}` };
+    }
+
+    await Timetable.deleteMany({ userId, date: { $gte: fromDate } });
+    await Promise.all(days.map(day => day.save()));
+    await refreshSubjectPlan(userId);
+
+    const restored = await saveVersion(userId, 'restore', `Restored the version from ${version.createdAt.toISOString()}` +
+        (dropped > 0 ? `, dropping ${dropped} session(s) that clashed with completed ones` : ''));
+
+    return { version: restored, dropped };
+}
+
+module.exports = {
+    saveVersion,
+    diffVersions,
+    restoreVersion
+};
@@ -0,0 +1,199 @@
+/**
+ * Tokens
+ * Short-lived JWT access tokens tied to a signed-in device (AuthSession), and
+ * the rotating refresh tokens that renew them. Revoking a session logs that
+ * device out straight away, since access tokens are checked against it.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AuthSession = require('../models/AuthSession');
+
+const DEV_JWT_SECRET = 'dev-only-secret-key';
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS || '30');
+// How long a swapped refresh token keeps working, for tabs that refreshed at the same time
+const REFRESH_GRACE_MS = 30 * 1000;
+
+/**
+ * Whether the server may start: production needs a real JWT_SECRET
+ */
+function hasJwtSecret() {
+    return Boolean(process.env.JWT_SECRET) || process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * The secret tokens are signed with. Outside production a development
+ * secret stands in when JWT_SECRET is not set.
+ */
+function getJwtSecret() {
+    if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('JWT_SECRET must be set in production');
+    }
+
+    return DEV_JWT_SECRET;
+}
+
+/**
+ * Secret tokens are stored as SHA-256 hashes, never as issued
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newRefreshToken() {
+    return crypto.randomBytes(48).toString('hex');
+}
+
+/**
+ * Verify an access token, returning its { userId, sessionId } payload
+ */
+function verifyAccessToken(token) {
+    return jwt.verify(token, getJwtSecret());
+}
+
+/**
+ * The tokens handed to the client for a session
+ */
+function issueTokens(session, refreshToken) {
+    const token = jwt.sign(
+        { userId: session.userId, sessionId: session._id },
+        getJwtSecret(),
+        { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+    );
+
+    return {
+        token,
+        refreshToken,
+        refreshTokenExpiresAt: session.expiresAt
+    };
+}
+
+// Device details shown in the session list
+function describeClient(req) {
+    return {
+        userAgent: (req.get('User-Agent') || '').slice(0, 300),
+        ip: req.ip || ''
+    };
+}
+
+/**
+ * Sign a user in on a new device: create its session and first tokens
+ */
+async function startSession(userId, req) {
+    const refreshToken = newRefreshToken();
+    const session = await AuthSession.create({
+        userId,
+        tokenHash: hashToken(refreshToken),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+        ...describeClient(req)
+    });
+
+    return issueTokens(session, refreshToken);
+}
+
+// Key refresh tokens are sealed with while a racing refresh may still ask for them
+function sealKey() {
+    return crypto.createHash('sha256').update(`refresh-token-seal:${getJwtSecret()}`).digest();
+}
+
+/**
+ * Encrypt a refresh token (AES-256-GCM) so it can be handed out once more
+ */
+function sealToken(token) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', sealKey(), iv);
+    const sealed = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), sealed].map(part => part.toString('base64')).join('.');
+}
+
+/**
+ * Decrypt a sealed refresh token, or null when it can't be
+ */
+function unsealToken(value) {
+    try {
+        const [iv, tag, sealed] = String(value).split('.').map(part => Buffer.from(part, 'base64'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', sealKey(), iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(sealed), decipher.final()]).toString('utf8');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Swap a refresh token for new tokens. Returns null when the token is
+ * unknown, expired or revoked. For REFRESH_GRACE_MS after a swap, the token
+ * just replaced gets the same new tokens again, as another tab or device may
+ * have refreshed at the same moment; reusing it later revokes its session,
+ * as it may have been stolen.
+ */
+async function refreshSession(refreshToken, req) {
+    const tokenHash = hashToken(refreshToken);
+    const session = await AuthSession.findOne({ tokenHash });
+
+    if (session) {
+        if (!session.isActive()) return null;
+
+        const nextToken = newRefreshToken();
+        const rotated = await AuthSession.findOneAndUpdate(
+            // Only the first of two concurrent refreshes swaps the token
+            { _id: session._id, tokenHash },
+            {
+                tokenHash: hashToken(nextToken),
+                previousTokenHash: tokenHash,
+                sealedToken: sealToken(nextToken),
+                rotatedAt: new Date(),
+                lastUsedAt: new Date(),
+                ...describeClient(req)
+            },
+            { new: true }
+        );
+        if (rotated) return issueTokens(rotated, nextToken);
+    }
+
+    const replaced = await AuthSession.findOne({ previousTokenHash: tokenHash, revokedAt: null });
+    if (!replaced) return null;
+
+    if (replaced.rotatedAt && Date.now() - replaced.rotatedAt.getTime() < REFRESH_GRACE_MS) {
+        const current = replaced.isActive() ? unsealToken(replaced.sealedToken) : null;
+        return current && hashToken(current) === replaced.tokenHash ? issueTokens(replaced, current) : null;
+    }
+
+    await AuthSession.updateOne({ _id: replaced._id, revokedAt: null }, { revokedAt: new Date() });
+    return null;
+}
+
+/**
+ * The user's sessions that can still be used, most recently used first
+ */
+function getActiveSessions(userId) {
+    return AuthSession.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .select('-tokenHash -previousTokenHash -sealedToken')
+        .sort({ lastUsedAt: -1 });
+}
+
+/**
+ * Revoke the user's sessions matching a filter, returning how many were revoked
+ */
+async function revokeSessions(userId, filter = {}) {
+    const result = await AuthSession.updateMany(
+        { ...filter, userId, revokedAt: null },
+        { revokedAt: new Date() }
+    );
+
+    return result.modifiedCount;
+}
+
+module.exports = {
+    hasJwtSecret,
+    hashToken,
+    verifyAccessToken,
+    startSession,
+    refreshSession,
+    getActiveSessions,
+    revokeSessions
+};
@@ -1,9 +1,18 @@
 const express = require('express');
+const crypto = require('crypto');
 const User = require('../models/User');
 const Subject = require('../models/Subject');
 const Timetable = require('../models/Timetable');
 const StudyStats = require('../models/StudyStats');
 const { auth } = require('../middleware/auth');
+const { normalizeAvailability } = require('../utils/timetableGenerator');
+const { toDateKey, today, addDays, startOfWeek, isValidTimezone } = require('../utils/dateUtils');
+const { buildCalendar } = require('../utils/icalendar');
+const { IMPORT_MODES, parseSubjectsCsv, planImport, applyImport, summarizePlan, validateExportShape } = require('../utils/dataImport');
+const { getStreak } = require('../utils/streaks');
+const { redateStudyLog } = require('../utils/studyRecorder');
+const { buildExport, buildArchive, purgeUserData } = require('../utils/accountData');
+const { confirmPassword } = require('../utils/loginThrottle');
 
 const router = express.Router();
 
@@ -68,8 +77,35 @@ router.put('/profile', auth, async (req, res) => {
                     updateData['preferences.breakDuration'] = preferences.breakDuration;
                 }
             }
+            if (preferences.planWeeks) {
+                updateData['preferences.planWeeks'] = Math.min(8, Math.max(1, preferences.planWeeks));
+            }
+            if (preferences.availability !== undefined) {
+                const { availability, error } = normalizeAvailability(preferences.availability);
+
+                if (error) {
+                    return res.status(400).json({
+                        success: false,
+                        message: error
+                    });
+                }
+
+                updateData['preferences.availability'] = availability;
+            }
+            if (preferences.timezone !== undefined) {
+                if (!isValidTimezone(preferences.timezone)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Timezone must be an IANA timezone such as Europe/Berlin'
+                    });
+                }
+
+                updateData['preferences.timezone'] = preferences.timezone;
+            }
         }
 
+        const previousTimezone = req.user.preferences.timezone;
+
         const user = await User.findByIdAndUpdate(
             req.userId,
             { $set: updateData },
@@ -83,6 +119,11 @@ router.put('/profile', auth, async (req, res) => {
             });
         }
 
+        // Study already logged moves to the calendar days of the new timezone
+        if (user.preferences.timezone !== previousTimezone) {
+            await redateStudyLog(req.userId);
+        }
+
         res.json({
             success: true,
             message: 'Profile updated successfully',
@@ -98,6 +139,63 @@ router.put('/profile', auth, async (req, res) => {
     }
 });
 
+// @route   DELETE /api/users/me
+// @desc    Close the account: check the password again, then delete the user
+//          and all their data. The response carries a final archive of that
+//          data unless { includeArchive: false } is sent.
+// @access  Private
+router.delete('/me', auth, async (req, res) => {
+    try {
+        const { password, includeArchive = true } = req.body;
+
+        if (!password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please confirm your password to delete your account'
+            });
+        }
+
+        // Wrong passwords count towards the login limits
+        const user = await User.findById(req.userId);
+        const check = await confirmPassword(user, password, req.ip);
+
+        if (!check.allowed) {
+            res.set('Retry-After', String(check.retryAfter));
+            return res.status(429).json({
+                success: false,
+                message: 'Too many wrong passwords. Please try again later.',
+                retryAfter: check.retryAfter
+            });
+        }
+
+        if (!check.match) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password is incorrect'
+            });
+        }
+
+        const archive = includeArchive ? await buildArchive(user) : null;
+        const deleted = await purgeUserData(user);
+
+        res.json({
+            success: true,
+            message: 'Your account and all its data have been deleted',
+            data: {
+                deleted,
+                ...(archive && { archive })
+            }
+        });
+    } catch (error) {
+        console.error('Delete account error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
 // @route   GET /api/users/dashboard
 // @desc    Get dashboard data
 // @access  Private
@@ -105,19 +203,21 @@ router.get('/dashboard', auth, async (req, res) => {
     try {
         const user = await User.findById(req.userId).select('-password');
         const subjects = await Subject.find({ userId: req.userId });
-        const timetable = await Timetable.find({ userId: req.userId }).sort({ dayOfWeek: 1 });
+        const weekStart = startOfWeek(today(user.preferences.timezone));
+        const timetable = await Timetable.findRange(req.userId, weekStart, addDays(weekStart, 6));
         
         // Calculate streak
-        const streak = await StudyStats.calculateStreak(req.userId);
+        const { current: streak, longest: longestStreak, freezes: streakFreezes } = await getStreak(user);
         
         // Get today's stats
-        const todayStats = await StudyStats.getTodayStats(req.userId);
+        const todayStats = await StudyStats.getTodayStats(req.userId, user.preferences.timezone);
         
         // Get weekly stats
-        const weeklyStats = await StudyStats.getWeeklyStats(req.userId);
+        const weeklyStats = await StudyStats.getWeeklyStats(req.userId, user.preferences.timezone);
         
         // Calculate total completed sessions
         const totalCompleted = user.statistics.completedSessions;
+        const studiedMinutes = subjects.reduce((acc, subject) => acc + subject.studiedMinutes, 0);
 
         res.json({
             success: true,
@@ -128,7 +228,10 @@ router.get('/dashboard', auth, async (req, res) => {
                 statistics: {
                     totalSubjects: subjects.length,
                     streak,
+                    longestStreak,
+                    streakFreezes,
                     completedSessions: totalCompleted,
+                    studiedMinutes,
                     todayStats,
                     weeklyStats
                 }
@@ -149,23 +252,7 @@ router.get('/dashboard', auth, async (req, res) => {
 // @access  Private
 router.get('/export/json', auth, async (req, res) => {
     try {
-        const user = await User.findById(req.userId).select('-password');
-        const subjects = await Subject.find({ userId: req.userId });
-        const timetable = await Timetable.find({ userId: req.userId });
-        const stats = await StudyStats.find({ userId: req.userId });
-
-        const exportData = {
-            exportDate: new Date().toISOString(),
-            user: {
-                name: user.name,
-                email: user.email,
-                preferences: user.preferences,
-                statistics: user.statistics
-            },
-            subjects,
-            timetable,
-            studyStats: stats
-        };
+        const exportData = await buildExport(req.user);
 
         res.setHeader('Content-Type', 'application/json');
         res.setHeader('Content-Disposition', 'attachment; filename=studymate-export.json');
@@ -185,13 +272,15 @@ router.get('/export/json', auth, async (req, res) => {
 // @access  Private
 router.get('/export/csv', auth, async (req, res) => {
     try {
-        const timetable = await Timetable.find({ userId: req.userId }).sort({ dayOfWeek: 1 });
+        const timetable = await Timetable.find({ userId: req.userId }).sort({ date: 1 });
 
-        let csv = 'Day,Subject,Start Time,End Time,Duration (min),Type,Completed\n';
+        let csv = 'Date,Day,Subject,Topic,Start Time,End Time,Duration (min),Type,Completed\n';
 
         timetable.forEach(day => {
             day.sessions.forEach(session => {
-                csv += `${day.dayName},${session.subject},${session.startTime},${session.endTime},${session.duration},${session.type},${session.completed}\n`;
+                // Topic titles are free text, so quote them
+                const topic = session.topic ? `"${session.topic.replace(/"/g, '""')}"` : '';
+                csv += `${toDateKey(day.date)},${day.dayName},${session.subject},${topic},${session.startTime},${session.endTime},${session.duration},${session.type},${session.completed}\n`;
             });
         });
 
@@ -208,4 +297,244 @@ router.get('/export/csv', auth, async (req, res) => {
     }
 });
 
+// @route   POST /api/users/import
+// @desc    Import subjects, timetable and stats from a JSON export or a CSV of subjects
+//          Body: { mode: 'merge' | 'replace', dryRun, data } or { mode, dryRun, csv },
+//          or a raw text/csv body with ?mode=&dryRun=. Replace clears all study data
+//          first (goals, focus sessions, reschedules and plan versions too).
+// @access  Private
+router.post('/import', auth, express.text({ type: 'text/csv', limit: '1mb' }), async (req, res) => {
+    try {
+        const rawCsv = typeof req.body === 'string' ? req.body : null;
+        const body = rawCsv === null ? req.body : {};
+        const mode = body.mode || req.query.mode || 'merge';
+        const dryRun = [true, 'true', '1'].includes(body.dryRun !== undefined ? body.dryRun : req.query.dryRun);
+
+        if (!IMPORT_MODES.includes(mode)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid mode. Use one of: ${IMPORT_MODES.join(', ')}`
+            });
+        }
+
+        // Normalise both input formats into the export's JSON shape
+        let data;
+        const csv = rawCsv !== null ? rawCsv : body.csv;
+
+        if (typeof csv === 'string') {
+            const parsed = parseSubjectsCsv(csv);
+            if (parsed.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: parsed.error
+                });
+            }
+            data = { subjects: parsed.subjects };
+        } else {
+            const shapeError = validateExportShape(body.data);
+            if (shapeError) {
+                return res.status(400).json({
+                    success: false,
+                    message: shapeError
+                });
+            }
+            data = body.data;
+        }
+
+        const existing = {
+            subjects: await Subject.find({ userId: req.userId }).select('name'),
+            timetable: await Timetable.find({ userId: req.userId }).select('date'),
+            studyStats: await StudyStats.find({ userId: req.userId }).select('date')
+        };
+
+        const plan = planImport({ userId: req.userId, data, mode, existing });
+        const report = summarizePlan(plan);
+        const hasErrors = Object.values(report).some(collection => collection.errors.length > 0);
+
+        if (dryRun) {
+            return res.json({
+                success: true,
+                message: hasErrors ? 'Dry run found invalid entries' : 'Dry run completed, nothing was imported',
+                data: { mode, dryRun, report }
+            });
+        }
+
+        if (hasErrors) {
+            return res.status(400).json({
+                success: false,
+                message: 'Import contains invalid entries; nothing was imported',
+                data: { mode, dryRun, report }
+            });
+        }
+
+        await applyImport(req.userId, plan, mode);
+
+        res.status(201).json({
+            success: true,
+            message: 'Import completed successfully',
+            data: {
+                mode,
+                dryRun,
+                imported: {
+                    subjects: plan.subjects.create.length,
+                    timetable: plan.timetable.create.length,
+                    studyStats: plan.studyStats.create.length
+                },
+                report
+            }
+        });
+    } catch (error) {
+        console.error('Import error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during import',
+            error: error.message
+        });
+    }
+});
+
+// How many past weeks the calendar export keeps alongside the upcoming plan
+const CALENDAR_HISTORY_WEEKS = 4;
+
+// Load the timetable days included in calendar exports
+const getCalendarTimetables = (user) => {
+    const from = addDays(startOfWeek(today(user.preferences.timezone)), -CALENDAR_HISTORY_WEEKS * 7);
+    return Timetable.find({ userId: user._id, date: { $gte: from } }).sort({ date: 1 });
+};
+
+// Public URL calendar apps use to subscribe to a feed token
+const getFeedUrl = (req, token) => {
+    return `${req.protocol}://${req.get('host')}/api/users/calendar-feed/${token}.ics`;
+};
+
+// @route   GET /api/users/export/ics
+// @desc    Export timetable as an iCalendar file
+// @access  Private
+router.get('/export/ics', auth, async (req, res) => {
+    try {
+        const timetable = await getCalendarTimetables(req.user);
+        const calendar = buildCalendar(timetable, {
+            name: `${req.user.name}'s StudyMate Timetable`,
+            timeZone: req.user.preferences.timezone
+        });
+
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Content-Disposition', 'attachment; filename=studymate-timetable.ics');
+        res.send(calendar);
+    } catch (error) {
+        console.error('Export ICS error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during export',
+            error: error.message
+        });
+    }
+});
+
+// @route   GET /api/users/calendar-feed
+// @desc    Get the subscribable calendar feed URL, if enabled
+// @access  Private
+router.get('/calendar-feed', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.userId).select('calendarFeedToken');
+
+        res.json({
+            success: true,
+            data: {
+                enabled: Boolean(user.calendarFeedToken),
+                url: user.calendarFeedToken ? getFeedUrl(req, user.calendarFeedToken) : null
+            }
+        });
+    } catch (error) {
+        console.error('Get calendar feed error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/users/calendar-feed
+// @desc    Create (or rotate) the subscribable calendar feed URL
+// @access  Private
+router.post('/calendar-feed', auth, async (req, res) => {
+    try {
+        const token = crypto.randomBytes(24).toString('hex');
+
+        await User.findByIdAndUpdate(req.userId, { $set: { calendarFeedToken: token } });
+
+        res.status(201).json({
+            success: true,
+            message: 'Calendar feed enabled. Any previous feed URL no longer works.',
+            data: {
+                enabled: true,
+                url: getFeedUrl(req, token)
+            }
+        });
+    } catch (error) {
+        console.error('Create calendar feed error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/users/calendar-feed
+// @desc    Disable the calendar feed URL
+// @access  Private
+router.delete('/calendar-feed', auth, async (req, res) => {
+    try {
+        await User.findByIdAndUpdate(req.userId, { $unset: { calendarFeedToken: 1 } });
+
+        res.json({
+            success: true,
+            message: 'Calendar feed disabled'
+        });
+    } catch (error) {
+        console.error('Delete calendar feed error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
+// @route   GET /api/users/calendar-feed/:token.ics
+// @desc    Subscribable iCalendar feed, always built from the latest timetable
+// @access  Public (feed token)
+router.get('/calendar-feed/:token.ics', async (req, res) => {
+    try {
+        const { token } = req.params;
+        const user = token ? await User.findOne({ calendarFeedToken: token }) : null;
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'Calendar feed not found'
+            });
+        }
+
+        const timetable = await getCalendarTimetables(user);
+        const calendar = buildCalendar(timetable, {
+            name: `${user.name}'s StudyMate Timetable`,
+            timeZone: user.preferences.timezone
+        });
+
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.send(calendar);
+    } catch (error) {
+        console.error('Calendar feed error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+});
+
 module.exports = router;